@@ -3,6 +3,7 @@ import {
   getLocalHourDecimal,
   toLocalTime,
 } from "../../core/utils/timezone.js";
+import { getCommitLoc } from "../../core/data/transforms.js";
 
 export const SHAPE_NAMES = [
   "diamond",
@@ -119,7 +120,7 @@ export function prepareStripPlotData(commits, period, options = {}) {
       ),
       timeOfDay: timeOfDayDate,
       hourDecimal: hourDecimal,
-      commitSize: (commit.additions || 0) + (commit.deletions || 0),
+      commitSize: getCommitLoc(commit),
     };
   });
   const sessionMarkers = [];
@@ -0,0 +1,117 @@
+const AI_TOOL_PATTERN =
+  "\\b(claude|copilot|cursor|codex|aider|devin|gemini|chatgpt|openai|anthropic|windsurf|codeium|jules)\\b";
+
+// Bot detection ignores these accounts, so agent commits stay in the metrics
+export const AI_AGENT_ACCOUNTS =
+  "(copilot(-swe-agent)?|claude|devin-ai-integration|cursor(-agent)?|openai-codex|chatgpt-codex-connector|google-labs-jules|gemini-code-assist)";
+
+const AI_AGENT_NOREPLY_EMAIL = `(\\d+\\+)?${AI_AGENT_ACCOUNTS}(\\[bot\\])?@users\\.noreply\\.github\\.com`;
+
+export const DEFAULT_AI_RULES = Object.freeze({
+  // Co-authors are people as often as tools, so only known agent identities
+  // count; a name alone such as "Devin" or "Claude" does not
+  trailers: [
+    { key: "Co-authored-by", pattern: "<noreply@anthropic\\.com>" },
+    { key: "Co-authored-by", pattern: `<${AI_AGENT_NOREPLY_EMAIL}>` },
+    { key: "Co-authored-by", pattern: `^${AI_AGENT_ACCOUNTS}\\[bot\\]\\s*<` },
+    { key: "Co-authored-by", pattern: "<cursoragent@cursor\\.com>" },
+    { key: "Co-authored-by", pattern: "@aider\\.chat>" },
+    { key: "Assisted-by", pattern: AI_TOOL_PATTERN },
+    { key: "Generated-by", pattern: AI_TOOL_PATTERN },
+  ],
+  authors: [
+    `^${AI_AGENT_ACCOUNTS}\\[bot\\]$`,
+    "^copilot$",
+    `^${AI_AGENT_NOREPLY_EMAIL}$`,
+    "^noreply@anthropic\\.com$",
+    "^cursoragent@cursor\\.com$",
+  ],
+  messageMarkers: [
+    "Generated with \\[?Claude Code",
+    "Generated (with|by) (GitHub )?Copilot",
+    "^aider: ",
+    "Co-Authored-By: Claude <noreply@anthropic\\.com>",
+  ],
+});
+
+/**
+ * Compile AI detection rules, extending the defaults unless told otherwise
+ * @param {Object} config - Rules from parameters.json AI_DETECTION
+ * @param {Array} config.trailers - Array of { key, pattern } trailer rules
+ * @param {Array} config.authors - Regex sources matched against author/committer names and emails
+ * @param {Array} config.message_markers - Regex sources matched against the commit message
+ * @param {boolean} config.extend_defaults - Merge with DEFAULT_AI_RULES (default true)
+ * @returns {Object} - Compiled rules with RegExp instances
+ */
+export function compileAiRules(config = {}) {
+  const base =
+    config.extend_defaults === false
+      ? { trailers: [], authors: [], messageMarkers: [] }
+      : DEFAULT_AI_RULES;
+  const toRegExp = (source) => new RegExp(source, "im");
+  return Object.freeze({
+    trailers: [...base.trailers, ...(config.trailers || [])].map(
+      ({ key, pattern }) => ({
+        key: key.toLowerCase(),
+        pattern: toRegExp(pattern),
+      })
+    ),
+    authors: [...base.authors, ...(config.authors || [])].map(toRegExp),
+    messageMarkers: [
+      ...base.messageMarkers,
+      ...(config.message_markers || []),
+    ].map(toRegExp),
+  });
+}
+
+const DEFAULT_COMPILED_RULES = compileAiRules();
+
+/**
+ * Classify a commit as AI-assisted
+ * @param {Object} commit - Commit object with trailers, identities and message fields
+ * @param {Object} rules - Compiled rules from compileAiRules
+ * @returns {Object} - { aiAssisted, aiSignals } where aiSignals lists the matching evidence
+ */
+export function classifyAiCommit(commit, rules = DEFAULT_COMPILED_RULES) {
+  const trailerSignals = (commit.trailers || [])
+    .filter((trailer) =>
+      rules.trailers.some(
+        (rule) =>
+          rule.key === trailer.key.toLowerCase() &&
+          rule.pattern.test(trailer.value)
+      )
+    )
+    .map((trailer) => `trailer:${trailer.key}: ${trailer.value}`);
+  const identities = [
+    commit.authorName,
+    commit.authorEmail,
+    commit.committerName,
+    commit.committerEmail,
+  ].filter((identity) => identity);
+  const authorSignals = identities
+    .filter((identity) => rules.authors.some((rule) => rule.test(identity)))
+    .map((identity) => `author:${identity}`);
+  const message = [commit.subject, commit.body]
+    .filter((part) => part)
+    .join("\n\n");
+  const messageSignals = rules.messageMarkers
+    .filter((rule) => rule.test(message))
+    .map((rule) => `message:${rule.source}`);
+  const aiSignals = [
+    ...new Set([...trailerSignals, ...authorSignals, ...messageSignals]),
+  ];
+  return { aiAssisted: aiSignals.length > 0, aiSignals };
+}
+
+/**
+ * Tag commits with AI-assisted classification
+ * @param {Array} commits - Array of commit objects
+ * @param {Object} rules - Compiled rules from compileAiRules
+ * @returns {Array} - New commit objects with aiAssisted and aiSignals fields
+ */
+export function tagAiCommits(commits, rules = DEFAULT_COMPILED_RULES) {
+  return commits.map((commit) => ({
+    ...commit,
+    ...classifyAiCommit(commit, rules),
+  }));
+}
@@ -0,0 +1,116 @@
+import { AI_AGENT_ACCOUNTS } from "./ai-detection.js";
+
+export const DEFAULT_BOT_RULES = Object.freeze({
+  authors: [
+    "\\[bot\\]$",
+    "\\[bot\\]@users\\.noreply\\.github\\.com$",
+    "^dependabot(-preview)?$",
+    "^renovate(-bot)?$",
+    "^github-actions$",
+    "^github-actions@github\\.com$",
+    "^semantic-release-bot$",
+    "^semantic-release-bot@martynus\\.net$",
+    "^release-please$",
+    "^greenkeeper(io)?$",
+    "^snyk-bot$",
+    "^pre-commit-ci$",
+    "^mergify$",
+  ],
+  ignoreAuthors: [
+    `^(\\d+\\+)?${AI_AGENT_ACCOUNTS}\\[bot\\](@users\\.noreply\\.github\\.com)?$`,
+  ],
+  messagePatterns: [
+    "^Bump \\S+ from \\S+ to \\S+",
+    "^(chore|build|fix)\\(deps(-dev)?\\): (bump|update|pin)",
+    "^Update dependency ",
+    "^Lock file maintenance",
+    "^chore\\(release\\):",
+    "^chore(\\(\\S+\\))?: release ",
+    "^Merge pull request #\\d+ from \\S+/(dependabot|renovate)/",
+    "^\\[create-pull-request\\] automated change",
+    "^\\[pre-commit\\.ci\\]",
+    "^(release )?v?\\d+\\.\\d+\\.\\d+(-[\\w.]+)?$",
+  ],
+});
+
+/**
+ * Compile bot detection rules, extending the defaults unless told otherwise
+ * @param {Object} config - Rules from parameters.json BOT_DETECTION
+ * @param {Array} config.authors - Regex sources matched against author/committer names and emails and Co-authored-by trailers
+ * @param {Array} config.message_patterns - Regex sources matched against the commit subject
+ * @param {Array} config.ignore_authors - Regex sources for identities that are never bots, such as AI coding agents
+ * @param {boolean} config.extend_defaults - Merge with DEFAULT_BOT_RULES (default true)
+ * @returns {Object} - Compiled rules with RegExp instances
+ */
+export function compileBotRules(config = {}) {
+  const base =
+    config.extend_defaults === false
+      ? { authors: [], messagePatterns: [], ignoreAuthors: [] }
+      : DEFAULT_BOT_RULES;
+  const toRegExp = (source) => new RegExp(source, "i");
+  return Object.freeze({
+    authors: [...base.authors, ...(config.authors || [])].map(toRegExp),
+    messagePatterns: [
+      ...base.messagePatterns,
+      ...(config.message_patterns || []),
+    ].map(toRegExp),
+    ignoreAuthors: [
+      ...base.ignoreAuthors,
+      ...(config.ignore_authors || []),
+    ].map(toRegExp),
+  });
+}
+
+const DEFAULT_COMPILED_RULES = compileBotRules();
+
+/**
+ * Classify a commit as made by a bot or release automation
+ * Merges of bot pull requests and release commits are made under a person's
+ * account, so the subject is checked as well as the identities. AI coding
+ * agents are left to AI detection rather than treated as bots.
+ * @param {Object} commit - Commit object with identities, trailers and subject
+ * @param {Object} rules - Compiled rules from compileBotRules
+ * @returns {Object} - { isBot, botSignals } where botSignals lists the matching evidence
+ */
+export function classifyBotCommit(commit, rules = DEFAULT_COMPILED_RULES) {
+  const matchesAuthor = (value) =>
+    rules.authors.some((rule) => rule.test(value)) &&
+    !rules.ignoreAuthors.some((rule) => rule.test(value));
+  const identities = [
+    ["author", commit.authorName],
+    ["author", commit.authorEmail],
+    ["committer", commit.committerName],
+    ["committer", commit.committerEmail],
+    ...(commit.trailers || [])
+      .filter((trailer) => trailer.key.toLowerCase() === "co-authored-by")
+      .map((trailer) => [`trailer:${trailer.key}`, trailer.value]),
+  ].filter(([, value]) => value);
+  const identitySignals = identities
+    .filter(([, value]) =>
+      // Co-authored-by values are "Name <email>"; test both parts
+      value
+        .split(/\s*[<>]\s*/)
+        .filter((part) => part)
+        .some(matchesAuthor)
+    )
+    .map(([role, value]) => `${role}:${value}`);
+  const subject = (commit.subject || "").trim();
+  const messageSignals = rules.messagePatterns
+    .filter((rule) => rule.test(subject))
+    .map((rule) => `message:${rule.source}`);
+  const botSignals = [...new Set([...identitySignals, ...messageSignals])];
+  return { isBot: botSignals.length > 0, botSignals };
+}
+
+/**
+ * Tag commits with bot classification
+ * @param {Array} commits - Array of commit objects
+ * @param {Object} rules - Compiled rules from compileBotRules
+ * @returns {Array} - New commit objects with isBot and botSignals fields
+ */
+export function tagBotCommits(commits, rules = DEFAULT_COMPILED_RULES) {
+  return commits.map((commit) => ({
+    ...commit,
+    ...classifyBotCommit(commit, rules),
+  }));
+}
@@ -46,6 +46,26 @@ const COMMIT_COUNT_BUCKETS = [
   { min: 50, max: Infinity, label: "50+", logCenter: 75 },
 ];
 
+const PERCENTAGE_BUCKETS = [
+  { min: 0, max: 10, label: "0-9%", logCenter: 5 },
+  { min: 10, max: 25, label: "10-24%", logCenter: 17.5 },
+  { min: 25, max: 50, label: "25-49%", logCenter: 37.5 },
+  { min: 50, max: 75, label: "50-74%", logCenter: 62.5 },
+  { min: 75, max: 90, label: "75-89%", logCenter: 82.5 },
+  { min: 90, max: Infinity, label: "90-100%", logCenter: 95 },
+];
+
+const FILE_COUNT_BUCKETS = [
+  { min: 1, max: 2, label: "1", logCenter: 1 },
+  { min: 2, max: 3, label: "2", logCenter: 2 },
+  { min: 3, max: 6, label: "3-5", logCenter: 4 },
+  { min: 6, max: 11, label: "6-10", logCenter: 8 },
+  { min: 11, max: 21, label: "11-20", logCenter: 15 },
+  { min: 21, max: 51, label: "21-50", logCenter: 32 },
+  { min: 51, max: 101, label: "51-100", logCenter: 71 },
+  { min: 101, max: Infinity, label: "100+", logCenter: 150 },
+];
+
 const SMALL_INTEGER_BUCKETS = Array.from({ length: 24 }, (_, i) => ({
   min: i + 1,
   max: i + 2,
@@ -92,6 +112,9 @@ const NATURAL_BUCKETS = {
   active_hours_per_day: SMALL_INTEGER_BUCKETS,
   sessions_per_day: SMALL_INTEGER_BUCKETS,
   repos: SMALL_INTEGER_BUCKETS,
+  files_per_day: FILE_COUNT_BUCKETS,
+  loc_by_language: LOC_BUCKETS,
+  file_category_share: PERCENTAGE_BUCKETS,
 };
 
 /**
@@ -0,0 +1,48 @@
+import { globToRegExp } from "../utils/glob.js";
+import { getCommitCategories } from "./file-classification.js";
+
+export const DEFAULT_COMMIT_FILTER = Object.freeze({
+  exclude: [],
+});
+
+/**
+ * Compile a single exclusion rule into a commit predicate
+ * A rule matches when every condition it specifies holds.
+ * @param {Object} rule - Exclusion rule
+ * @param {Array} rule.repos - Glob patterns matched against "owner/name"
+ * @param {Array} rule.only_categories - Match commits touching only these file categories
+ * @returns {Function} - Predicate returning true for commits the rule excludes
+ */
+function compileExcludeRule(rule) {
+  const repoPatterns = rule.repos ? rule.repos.map(globToRegExp) : null;
+  const onlyCategories = rule.only_categories
+    ? new Set(rule.only_categories)
+    : null;
+  return (commit) => {
+    if (
+      repoPatterns &&
+      !repoPatterns.some((pattern) => pattern.test(commit.repo || ""))
+    ) {
+      return false;
+    }
+    if (onlyCategories) {
+      const categories = getCommitCategories(commit);
+      return (
+        categories.length > 0 &&
+        categories.every((category) => onlyCategories.has(category))
+      );
+    }
+    return true;
+  };
+}
+
+/**
+ * Build a commit filter from a declarative spec
+ * @param {Object} spec - Filter from parameters.json COMMIT_FILTER
+ * @param {Array} spec.exclude - Exclusion rules; a commit matching any rule is dropped
+ * @returns {Function} - Predicate usable with MetricsBuilder.withFilter
+ */
+export function createCommitFilter(spec = DEFAULT_COMMIT_FILTER) {
+  const excludeRules = (spec.exclude || []).map(compileExcludeRule);
+  return (commit) => !excludeRules.some((excludes) => excludes(commit));
+}
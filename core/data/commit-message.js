@@ -0,0 +1,59 @@
+const TRAILER_LINE = /^([A-Za-z0-9][A-Za-z0-9-]*):\s+(.+)$/;
+const CONTINUATION_LINE = /^\s+\S/;
+
+/**
+ * Parse the trailer block at the end of a commit message
+ * @param {Array} paragraphLines - Lines of the last paragraph of the message
+ * @returns {Array} - Array of { key, value } trailers, empty if the paragraph is not a trailer block
+ */
+function parseTrailerBlock(paragraphLines) {
+  const isTrailerBlock =
+    paragraphLines.length > 0 &&
+    TRAILER_LINE.test(paragraphLines[0]) &&
+    paragraphLines.every(
+      (line) => TRAILER_LINE.test(line) || CONTINUATION_LINE.test(line)
+    );
+  if (!isTrailerBlock) {
+    return [];
+  }
+  return paragraphLines.reduce((trailers, line) => {
+    const match = line.match(TRAILER_LINE);
+    if (match) {
+      return [...trailers, { key: match[1], value: match[2].trim() }];
+    }
+    const last = trailers[trailers.length - 1];
+    return [
+      ...trailers.slice(0, -1),
+      { ...last, value: `${last.value} ${line.trim()}` },
+    ];
+  }, []);
+}
+
+/**
+ * Split a commit message into subject, body and trailers
+ * @param {string} message - Full commit message
+ * @returns {Object} - { subject, body, trailers } where body excludes the subject line
+ */
+export function parseCommitMessage(message) {
+  const lines = (message || "").replace(/\r\n/g, "\n").trimEnd().split("\n");
+  const subject = lines[0].trim();
+  const body = lines.slice(1).join("\n").trim();
+  const paragraphs = body.split(/\n\s*\n/);
+  const trailers =
+    body.length > 0
+      ? parseTrailerBlock(paragraphs[paragraphs.length - 1].split("\n"))
+      : [];
+  return { subject, body, trailers };
+}
+
+/**
+ * Get trailer values for a key (case-insensitive)
+ * @param {Object} commit - Commit object with trailers
+ * @param {string} key - Trailer key, e.g. "Co-authored-by"
+ * @returns {Array} - Array of trailer values
+ */
+export function getTrailerValues(commit, key) {
+  return (commit.trailers || [])
+    .filter((trailer) => trailer.key.toLowerCase() === key.toLowerCase())
+    .map((trailer) => trailer.value);
+}
@@ -0,0 +1,95 @@
+import { parseCommitMessage } from "./commit-message.js";
+import { classifyCommitFiles } from "./file-classification.js";
+
+/**
+ * Create a standardized commit object from GitHub API data
+ * @param {Object} detailedCommit - Detailed commit data from GitHub API
+ * @param {Object} repo - Repository object
+ * @returns {Object} - Standardized commit object
+ */
+function createCommitObject(detailedCommit, repo) {
+  const { author, committer, message } = detailedCommit.commit;
+  const { subject, body, trailers } = parseCommitMessage(message);
+  return {
+    repo: repo.full_name,
+    sha: detailedCommit.sha,
+    timestamp: new Date(author.date).toISOString(),
+    additions: detailedCommit.stats.additions || 0,
+    deletions: detailedCommit.stats.deletions || 0,
+    filesChanged: detailedCommit.files
+      ? detailedCommit.files.length
+      : detailedCommit.changedFiles || 0,
+    subject,
+    body,
+    authorName: author.name ?? null,
+    authorEmail: author.email ?? null,
+    committerName: committer?.name ?? null,
+    committerEmail: committer?.email ?? null,
+    committerDate: committer?.date
+      ? new Date(committer.date).toISOString()
+      : null,
+    parentCount: detailedCommit.parents ? detailedCommit.parents.length : null,
+    isMerge: detailedCommit.parents ? detailedCommit.parents.length > 1 : null,
+    trailers,
+    files: (detailedCommit.files || []).map((file) => [
+      file.filename,
+      file.additions || 0,
+      file.deletions || 0,
+    ]),
+  };
+}
+
+/**
+ * Create a standardized commit object with per-category lines changed
+ * @param {Object} detailedCommit - Detailed commit data in GitHub API shape
+ * @param {Object} repo - Repository object
+ * @param {Object} fileClassifier - Compiled classifier from compileFileClassifier
+ * @returns {Object} - Standardized commit object
+ */
+export function toCommitObject(detailedCommit, repo, fileClassifier) {
+  const commit = createCommitObject(detailedCommit, repo);
+  return { ...commit, ...classifyCommitFiles(commit, fileClassifier) };
+}
+
+/**
+ * Record a branch the commit was reachable from
+ * @param {Object} commit - Standardized commit object
+ * @param {string|null} branchName - Branch name, or null if unknown
+ * @returns {Object} - Commit object with the branch added to its branches list
+ */
+export function withBranch(commit, branchName) {
+  const branches = commit.branches || [];
+  if (!branchName || branches.includes(branchName)) {
+    return { ...commit, branches };
+  }
+  return { ...commit, branches: [...branches, branchName] };
+}
+
+/**
+ * Merge fetched commits into existing ones by SHA
+ * Existing commits are kept; branches seen for a known SHA are added to it.
+ * @param {Array} existingCommits - Commits already stored
+ * @param {Array} incomingCommits - Newly fetched commits
+ * @returns {Object} - { merged, added } where added counts new SHAs
+ */
+export function mergeCommitsBySha(existingCommits, incomingCommits) {
+  const merged = [...existingCommits];
+  const indexBySha = new Map(
+    merged.map((commit, index) => [commit.sha, index])
+  );
+  let added = 0;
+  incomingCommits.forEach((commit) => {
+    const existingIndex = indexBySha.get(commit.sha);
+    if (existingIndex === undefined) {
+      indexBySha.set(commit.sha, merged.length);
+      merged.push(commit);
+      added++;
+      return;
+    }
+    merged[existingIndex] = (commit.branches || []).reduce(
+      withBranch,
+      merged[existingIndex]
+    );
+  });
+  return { merged, added };
+}
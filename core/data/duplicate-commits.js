@@ -0,0 +1,243 @@
+export const DEFAULT_MIN_CONFIDENCE = 0.7;
+
+const MIN_PATCH_LINES = 10;
+
+const SIGNAL_WEIGHTS = Object.freeze({
+  patch: 0.5,
+  patchTotals: 0.3,
+  message: 0.3,
+  authorDate: 0.2,
+});
+
+const CHERRY_PICK_LINE = /^\(cherry picked from commit [0-9a-f]+\)$/gim;
+
+/**
+ * Get the fingerprint of the changes a commit makes
+ * Like git patch-id, it ignores the SHA and parents so cherry-picked and
+ * rebased copies match. Commits fetched without file lists fall back to
+ * their totals, which is weaker evidence.
+ * @param {Object} commit - Commit object with files, additions, deletions and filesChanged
+ * @returns {Object|null} - { basis: "files"|"totals", key }, or null for an empty patch
+ */
+export function getPatchFingerprint(commit) {
+  const files = commit.files || [];
+  if (files.length > 0) {
+    return {
+      basis: "files",
+      key: files
+        .map(([filename, additions, deletions]) =>
+          [filename, additions, deletions].join(":")
+        )
+        .sort()
+        .join("|"),
+    };
+  }
+  const { additions = 0, deletions = 0, filesChanged = 0 } = commit;
+  if (additions + deletions + (filesChanged || 0) === 0) {
+    return null;
+  }
+  return {
+    basis: "totals",
+    key: `${filesChanged || 0}:${additions}:${deletions}`,
+  };
+}
+
+/**
+ * Check whether a patch is too small to identify a change on its own
+ * Single-file and few-line patches, such as an initial README, recur across
+ * unrelated repositories.
+ * @param {Object} commit - Commit object with files, additions, deletions and filesChanged
+ * @returns {boolean} - True if the patch should not count as evidence
+ */
+export function isTrivialPatch(commit) {
+  const files = commit.files || [];
+  const fileCount = files.length > 0 ? files.length : commit.filesChanged || 0;
+  const lines = (commit.additions || 0) + (commit.deletions || 0);
+  return fileCount <= 1 || lines < MIN_PATCH_LINES;
+}
+
+/**
+ * Normalize a commit message for comparison
+ * Drops the "(cherry picked from commit ...)" line git -x adds, and case
+ * and whitespace differences.
+ * @param {Object} commit - Commit object with subject and body
+ * @returns {string} - Normalized message, empty if the commit has none
+ */
+export function normalizeCommitMessage(commit) {
+  const message = [commit.subject, commit.body]
+    .filter((part) => part)
+    .join("\n");
+  return message
+    .replace(CHERRY_PICK_LINE, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Get a commit's author date as a number, whether loaded as a Date or a string
+ * @param {Object} commit - Commit object with timestamp
+ * @returns {number|null} - Milliseconds since the epoch, or null if unknown
+ */
+function getAuthorTime(commit) {
+  return commit.timestamp ? new Date(commit.timestamp).getTime() : null;
+}
+
+/**
+ * Score how likely two commits are copies of the same change
+ * The same patch is worth 0.5 (0.3 when only totals are known), the same
+ * message 0.3 and the same author date 0.2, so a timestamp alone never
+ * reaches the default threshold. Trivial patches (see isTrivialPatch) add
+ * nothing.
+ * @param {Object} a - Commit object
+ * @param {Object} b - Commit object
+ * @returns {Object} - { confidence, signals } where signals lists what matched
+ */
+export function scoreDuplicatePair(a, b) {
+  const signals = [];
+  let confidence = 0;
+  const patchA = getPatchFingerprint(a);
+  const patchB = getPatchFingerprint(b);
+  if (
+    patchA &&
+    patchB &&
+    patchA.basis === patchB.basis &&
+    patchA.key === patchB.key &&
+    !isTrivialPatch(a)
+  ) {
+    signals.push(patchA.basis === "files" ? "patch" : "patchTotals");
+    confidence +=
+      patchA.basis === "files"
+        ? SIGNAL_WEIGHTS.patch
+        : SIGNAL_WEIGHTS.patchTotals;
+  }
+  const messageA = normalizeCommitMessage(a);
+  if (messageA && messageA === normalizeCommitMessage(b)) {
+    signals.push("message");
+    confidence += SIGNAL_WEIGHTS.message;
+  }
+  const authorTime = getAuthorTime(a);
+  if (authorTime !== null && authorTime === getAuthorTime(b)) {
+    signals.push("authorDate");
+    confidence += SIGNAL_WEIGHTS.authorDate;
+  }
+  return { confidence: Math.round(confidence * 100) / 100, signals };
+}
+
+/**
+ * Find the root of a commit index in a union-find forest
+ * @param {Array} parents - Parent index per commit
+ * @param {number} index - Commit index
+ * @returns {number} - Root index
+ */
+function findRoot(parents, index) {
+  while (parents[index] !== index) {
+    parents[index] = parents[parents[index]];
+    index = parents[index];
+  }
+  return index;
+}
+
+/**
+ * Group commits that are copies of the same change in different repositories
+ * Cherry-picks, rebases and pushes to forks keep the author date, so only
+ * commits with the same author date are compared; matching patches and
+ * messages alone never link commits made at different times. Pairs are
+ * linked across repositories only; a group may still hold several commits
+ * of one repository when each matches a commit elsewhere.
+ * @param {Array} commits - Commit objects
+ * @param {Object} options - Matching options
+ * @param {number} options.minConfidence - Lowest pair confidence that links two commits
+ * @returns {Array} - Array of { commits, repos, confidence, signals }, where confidence is the weakest link in the group
+ */
+export function findDuplicateCommitGroups(
+  commits,
+  { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}
+) {
+  const candidates = new Map();
+  const addCandidate = (key, index) => {
+    if (!candidates.has(key)) {
+      candidates.set(key, []);
+    }
+    candidates.get(key).push(index);
+  };
+  commits.forEach((commit, index) => {
+    const authorTime = getAuthorTime(commit);
+    if (authorTime !== null) {
+      addCandidate(authorTime, index);
+    }
+  });
+  const parents = commits.map((_, index) => index);
+  const links = new Map();
+  candidates.forEach((indexes) => {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const [a, b] = [indexes[i], indexes[j]];
+        if (commits[a].repo === commits[b].repo) {
+          continue;
+        }
+        const score = scoreDuplicatePair(commits[a], commits[b]);
+        if (score.confidence < minConfidence) {
+          continue;
+        }
+        parents[findRoot(parents, a)] = findRoot(parents, b);
+        links.set(`${a}:${b}`, { a, b, ...score });
+      }
+    }
+  });
+  const groups = new Map();
+  commits.forEach((commit, index) => {
+    const root = findRoot(parents, index);
+    if (!groups.has(root)) {
+      groups.set(root, { commits: [], confidence: 1, signals: new Set() });
+    }
+    groups.get(root).commits.push(commit);
+  });
+  links.forEach(({ a, confidence, signals }) => {
+    const group = groups.get(findRoot(parents, a));
+    group.confidence = Math.min(group.confidence, confidence);
+    signals.forEach((signal) => group.signals.add(signal));
+  });
+  return [...groups.values()]
+    .filter((group) => group.commits.length > 1)
+    .map((group) => ({
+      commits: group.commits,
+      repos: [...new Set(group.commits.map((commit) => commit.repo))].sort(),
+      confidence: group.confidence,
+      signals: [...group.signals],
+    }));
+}
+
+/**
+ * Order repositories by which copy of a duplicated commit should be kept
+ * Originals come before forks, a fork's parent before the fork, then older
+ * repositories, then those with more commits in the period.
+ * @param {Array} repos - Repository full names
+ * @param {Object} repoMetadata - Repository metadata keyed by full name
+ * @param {Object} commitCounts - Commits in the period keyed by full name
+ * @returns {Array} - Repository full names, preferred first
+ */
+export function getDefaultRepoPrecedence(
+  repos,
+  repoMetadata = {},
+  commitCounts = {}
+) {
+  const createdAt = (repo) =>
+    repoMetadata[repo]?.created_at
+      ? new Date(repoMetadata[repo].created_at).getTime()
+      : Infinity;
+  return [...repos].sort((a, b) => {
+    const metaA = repoMetadata[a] || {};
+    const metaB = repoMetadata[b] || {};
+    if (metaA.parent === b) return 1;
+    if (metaB.parent === a) return -1;
+    if (Boolean(metaA.isFork) !== Boolean(metaB.isFork)) {
+      return metaA.isFork ? 1 : -1;
+    }
+    if (createdAt(a) !== createdAt(b)) {
+      return createdAt(a) < createdAt(b) ? -1 : 1;
+    }
+    const countDiff = (commitCounts[b] || 0) - (commitCounts[a] || 0);
+    return countDiff || a.localeCompare(b);
+  });
+}
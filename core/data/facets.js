@@ -0,0 +1,108 @@
+import { getRepoMetadata } from "./transforms.js";
+
+const toLowerList = (value) =>
+  (Array.isArray(value) ? value : [value]).map((item) =>
+    String(item).toLowerCase()
+  );
+
+/**
+ * Build a predicate over a commit's repository metadata
+ * @param {Object} repoMetadata - Repository metadata object
+ * @param {Function} test - Receives the commit's repository metadata
+ * @returns {Function} - Commit predicate
+ */
+const repoPredicate = (repoMetadata, test) => (commit) =>
+  test(getRepoMetadata(commit, repoMetadata));
+
+const FACET_PREDICATES = {
+  aiAssisted: (value) => (commit) => Boolean(commit.aiAssisted) === value,
+  bot: (value) => (commit) => Boolean(commit.isBot) === value,
+  language: (value, repoMetadata) => {
+    const languages = toLowerList(value);
+    return repoPredicate(
+      repoMetadata,
+      (repo) =>
+        Boolean(repo.language) &&
+        languages.includes(repo.language.toLowerCase())
+    );
+  },
+  topics: (value, repoMetadata) => {
+    const topics = toLowerList(value);
+    return repoPredicate(repoMetadata, (repo) =>
+      (repo.topics || []).some((topic) => topics.includes(topic.toLowerCase()))
+    );
+  },
+  license: (value, repoMetadata) => {
+    const licenses = toLowerList(value);
+    return repoPredicate(
+      repoMetadata,
+      (repo) =>
+        Boolean(repo.license) && licenses.includes(repo.license.toLowerCase())
+    );
+  },
+  ownership: (value, repoMetadata) =>
+    repoPredicate(repoMetadata, (repo) => repo.ownerType === value),
+  archived: (value, repoMetadata) =>
+    repoPredicate(repoMetadata, (repo) => Boolean(repo.archived) === value),
+  private: (value, repoMetadata) =>
+    repoPredicate(repoMetadata, (repo) => Boolean(repo.private) === value),
+  fork: (value, repoMetadata) =>
+    repoPredicate(repoMetadata, (repo) => Boolean(repo.isFork) === value),
+  size: ({ min = 0, max = Infinity }, repoMetadata) =>
+    repoPredicate(
+      repoMetadata,
+      (repo) => repo.size !== null && repo.size >= min && repo.size <= max
+    ),
+};
+
+/**
+ * List the facet names understood by createFacetFilter
+ * @returns {Array} - Facet names
+ */
+export function getFacetNames() {
+  return Object.keys(FACET_PREDICATES);
+}
+
+/**
+ * Build a commit filter from a declarative facet spec
+ * Every facet in the spec must match (logical AND). Repository facets match
+ * nothing for repositories whose metadata lacks the field, such as data
+ * fetched before it was recorded.
+ * @param {Object} spec - Facet values, e.g. { aiAssisted: true } or { language: ["TypeScript"], ownership: "personal" }
+ * @param {Object} repoMetadata - Repository metadata object
+ * @returns {Function} - Predicate usable with MetricsBuilder.withFilter
+ */
+export function createFacetFilter(spec, repoMetadata = {}) {
+  const predicates = Object.entries(spec).map(([facet, value]) => {
+    const createPredicate = FACET_PREDICATES[facet];
+    if (!createPredicate) {
+      throw new Error(
+        `Unknown facet "${facet}". Use one of: ${getFacetNames().join(", ")}`
+      );
+    }
+    return createPredicate(value, repoMetadata);
+  });
+  return (commit) => predicates.every((predicate) => predicate(commit));
+}
+
+/**
+ * Collect the repository facet values present in the metadata
+ * Used to offer only the options that select something.
+ * @param {Object} repoMetadata - Repository metadata object
+ * @returns {Object} - { language, topics, license, ownership }, each a sorted array of values
+ */
+export function getRepoFacetValues(repoMetadata = {}) {
+  const values = { language: [], topics: [], license: [], ownership: [] };
+  Object.values(repoMetadata).forEach((repo) => {
+    if (repo.language) values.language.push(repo.language);
+    if (repo.license) values.license.push(repo.license);
+    if (repo.ownerType) values.ownership.push(repo.ownerType);
+    values.topics.push(...(repo.topics || []));
+  });
+  return Object.fromEntries(
+    Object.entries(values).map(([facet, list]) => [
+      facet,
+      [...new Set(list)].sort(),
+    ])
+  );
+}
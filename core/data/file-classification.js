@@ -0,0 +1,325 @@
+import { globToRegExp, matchesAnyGlob } from "../utils/glob.js";
+
+const EXTENSION_LANGUAGES = {
+  js: "JavaScript",
+  mjs: "JavaScript",
+  cjs: "JavaScript",
+  jsx: "JavaScript",
+  ts: "TypeScript",
+  tsx: "TypeScript",
+  mts: "TypeScript",
+  py: "Python",
+  ipynb: "Jupyter",
+  rb: "Ruby",
+  go: "Go",
+  rs: "Rust",
+  java: "Java",
+  kt: "Kotlin",
+  kts: "Kotlin",
+  scala: "Scala",
+  swift: "Swift",
+  m: "Objective-C",
+  c: "C",
+  h: "C",
+  cc: "C++",
+  cpp: "C++",
+  cxx: "C++",
+  hpp: "C++",
+  cs: "C#",
+  fs: "F#",
+  php: "PHP",
+  ex: "Elixir",
+  exs: "Elixir",
+  erl: "Erlang",
+  hs: "Haskell",
+  clj: "Clojure",
+  dart: "Dart",
+  lua: "Lua",
+  r: "R",
+  jl: "Julia",
+  sh: "Shell",
+  bash: "Shell",
+  zsh: "Shell",
+  ps1: "PowerShell",
+  sql: "SQL",
+  html: "HTML",
+  htm: "HTML",
+  css: "CSS",
+  scss: "CSS",
+  sass: "CSS",
+  less: "CSS",
+  vue: "Vue",
+  svelte: "Svelte",
+  md: "Markdown",
+  markdown: "Markdown",
+  mdx: "Markdown",
+  rst: "reStructuredText",
+  txt: "Text",
+  json: "JSON",
+  yml: "YAML",
+  yaml: "YAML",
+  toml: "TOML",
+  xml: "XML",
+  j2: "Jinja",
+  lock: "Lockfile",
+};
+
+const FILENAME_LANGUAGES = {
+  dockerfile: "Dockerfile",
+  makefile: "Makefile",
+  "package-lock.json": "Lockfile",
+  "yarn.lock": "Lockfile",
+  "pnpm-lock.yaml": "Lockfile",
+  "bun.lockb": "Lockfile",
+};
+
+/**
+ * Get the language of a file from its name or extension
+ * @param {string} filePath - Repository-relative file path
+ * @returns {string} - Language name, ".ext" for unknown extensions, or "Other"
+ */
+export function getFileLanguage(filePath) {
+  const fileName = filePath.split("/").pop().toLowerCase();
+  if (FILENAME_LANGUAGES[fileName]) {
+    return FILENAME_LANGUAGES[fileName];
+  }
+  const dotIndex = fileName.lastIndexOf(".");
+  if (dotIndex <= 0) {
+    return "Other";
+  }
+  const extension = fileName.slice(dotIndex + 1);
+  return EXTENSION_LANGUAGES[extension] || `.${extension}`;
+}
+
+export const DEFAULT_FILE_CATEGORIES = Object.freeze({
+  generated: [
+    "**/dist/**",
+    "**/build/**",
+    "**/__generated__/**",
+    "*.min.{js,css}",
+    "*.map",
+    "*.generated.*",
+    "*.pb.go",
+    "*_pb2.py",
+  ],
+  lockfiles: [
+    "package-lock.json",
+    "npm-shrinkwrap.json",
+    "yarn.lock",
+    "pnpm-lock.yaml",
+    "bun.lockb",
+    "Cargo.lock",
+    "Gemfile.lock",
+    "poetry.lock",
+    "Pipfile.lock",
+    "composer.lock",
+    "go.sum",
+    "*.lock",
+  ],
+  vendored: [
+    "**/vendor/**",
+    "**/node_modules/**",
+    "**/third_party/**",
+    "**/third-party/**",
+  ],
+  tests: [
+    "**/test/**",
+    "**/tests/**",
+    "**/__tests__/**",
+    "**/spec/**",
+    "*.{test,spec}.*",
+    "test_*.py",
+    "*_test.{go,py}",
+  ],
+  docs: ["*.{md,markdown,mdx,rst,txt}", "**/docs/**", "**/documentation/**"],
+  config: [
+    "*.{json,yml,yaml,toml,ini,cfg,xml}",
+    "Dockerfile",
+    "Makefile",
+    ".*",
+    ".github/**",
+  ],
+});
+
+export const DEFAULT_LOC_EXCLUSIONS = Object.freeze({
+  categories: ["lockfiles", "generated", "vendored"],
+  patterns: ["**/__snapshots__/**", "*.snap"],
+});
+
+/**
+ * Compile file classification rules, extending the defaults unless told otherwise
+ * Categories are checked in order and the first matching glob wins; configured
+ * categories are checked before the defaults.
+ * @param {Object} config - Rules from parameters.json FILE_CLASSIFICATION
+ * @param {Object} config.categories - Map of category name to glob patterns
+ * @param {string} config.default_category - Category for unmatched files (default "code")
+ * @param {boolean} config.extend_defaults - Merge with DEFAULT_FILE_CATEGORIES (default true)
+ * @param {Object} locExclusions - Rules from parameters.json LOC_EXCLUSIONS
+ * @param {Array} locExclusions.categories - Categories left out of adjusted LOC
+ * @param {Array} locExclusions.patterns - Extra globs left out of adjusted LOC
+ * @param {boolean} locExclusions.extend_defaults - Merge with DEFAULT_LOC_EXCLUSIONS (default true)
+ * @returns {Object} - Compiled classifier with ordered rules and LOC exclusions
+ */
+export function compileFileClassifier(config = {}, locExclusions = {}) {
+  const exclusionBase =
+    locExclusions.extend_defaults === false
+      ? { categories: [], patterns: [] }
+      : DEFAULT_LOC_EXCLUSIONS;
+  const categories = [
+    ...Object.entries(config.categories || {}),
+    ...(config.extend_defaults === false
+      ? []
+      : Object.entries(DEFAULT_FILE_CATEGORIES)),
+  ];
+  return Object.freeze({
+    rules: categories.map(([category, patterns]) => ({
+      category,
+      patterns: patterns.map(globToRegExp),
+    })),
+    defaultCategory: config.default_category || "code",
+    locExclusions: {
+      categories: new Set([
+        ...exclusionBase.categories,
+        ...(locExclusions.categories || []),
+      ]),
+      patterns: [
+        ...exclusionBase.patterns,
+        ...(locExclusions.patterns || []),
+      ].map(globToRegExp),
+    },
+  });
+}
+
+const DEFAULT_CLASSIFIER = compileFileClassifier();
+
+/**
+ * Get the work category of a file
+ * @param {string} filePath - Repository-relative file path
+ * @param {Object} classifier - Compiled classifier from compileFileClassifier
+ * @returns {string} - Category name, e.g. "docs", "tests" or "code"
+ */
+export function getFileCategory(filePath, classifier = DEFAULT_CLASSIFIER) {
+  const rule = classifier.rules.find(({ patterns }) =>
+    matchesAnyGlob(filePath, patterns)
+  );
+  return rule ? rule.category : classifier.defaultCategory;
+}
+
+/**
+ * Check whether a file is left out of adjusted LOC
+ * @param {string} filePath - Repository-relative file path
+ * @param {string} category - Category from getFileCategory
+ * @param {Object} classifier - Compiled classifier from compileFileClassifier
+ * @returns {boolean} - True if the file's lines should not count towards LOC
+ */
+export function isLocExcludedFile(
+  filePath,
+  category,
+  classifier = DEFAULT_CLASSIFIER
+) {
+  const { categories, patterns } = classifier.locExclusions;
+  return categories.has(category) || matchesAnyGlob(filePath, patterns);
+}
+
+/**
+ * Classify the files of a commit into per-category and adjusted lines changed
+ * Commits without stored files keep their existing classification, and their
+ * adjusted LOC falls back to the raw totals. Per-language LOC only counts the
+ * files that adjusted LOC counts.
+ * @param {Object} commit - Commit object with a compact files list
+ * @param {Object} classifier - Compiled classifier from compileFileClassifier
+ * @returns {Object} - { categoryLoc, languageLoc, isDocOnly, adjustedAdditions, adjustedDeletions }
+ */
+export function classifyCommitFiles(commit, classifier = DEFAULT_CLASSIFIER) {
+  const files = getCommitFiles(commit);
+  if (files.length === 0) {
+    const storedLoc = commit.categoryLoc || {};
+    const hasStoredLoc = Object.keys(storedLoc).length > 0;
+    return {
+      categoryLoc:
+        hasStoredLoc || !commit.isDocOnly
+          ? storedLoc
+          : { docs: (commit.additions || 0) + (commit.deletions || 0) },
+      languageLoc: commit.languageLoc || {},
+      isDocOnly: Boolean(commit.isDocOnly),
+      adjustedAdditions: commit.adjustedAdditions ?? commit.additions ?? 0,
+      adjustedDeletions: commit.adjustedDeletions ?? commit.deletions ?? 0,
+    };
+  }
+  const categories = files.map((file) =>
+    getFileCategory(file.path, classifier)
+  );
+  const { categoryLoc, languageLoc, adjustedAdditions, adjustedDeletions } =
+    files.reduce(
+      (totals, file, index) => {
+        const category = categories[index];
+        const excluded = isLocExcludedFile(file.path, category, classifier);
+        const language = getFileLanguage(file.path);
+        const loc = file.additions + file.deletions;
+        return {
+          categoryLoc: {
+            ...totals.categoryLoc,
+            [category]: (totals.categoryLoc[category] || 0) + loc,
+          },
+          languageLoc: excluded
+            ? totals.languageLoc
+            : {
+                ...totals.languageLoc,
+                [language]: (totals.languageLoc[language] || 0) + loc,
+              },
+          adjustedAdditions:
+            totals.adjustedAdditions + (excluded ? 0 : file.additions),
+          adjustedDeletions:
+            totals.adjustedDeletions + (excluded ? 0 : file.deletions),
+        };
+      },
+      {
+        categoryLoc: {},
+        languageLoc: {},
+        adjustedAdditions: 0,
+        adjustedDeletions: 0,
+      }
+    );
+  return {
+    categoryLoc,
+    languageLoc,
+    isDocOnly: categories.every((category) => category === "docs"),
+    adjustedAdditions,
+    adjustedDeletions,
+  };
+}
+
+/**
+ * Reclassify commits with the given file classifier
+ * @param {Array} commits - Array of commit objects
+ * @param {Object} classifier - Compiled classifier from compileFileClassifier
+ * @returns {Array} - New commit objects with categoryLoc, languageLoc, isDocOnly and adjusted LOC fields
+ */
+export function classifyCommits(commits, classifier = DEFAULT_CLASSIFIER) {
+  return commits.map((commit) => ({
+    ...commit,
+    ...classifyCommitFiles(commit, classifier),
+  }));
+}
+
+/**
+ * Get the categories a commit touched
+ * @param {Object} commit - Commit object with categoryLoc
+ * @returns {Array} - Category names
+ */
+export function getCommitCategories(commit) {
+  return Object.keys(commit.categoryLoc || {});
+}
+
+/**
+ * Get the per-file changes stored on a commit
+ * @param {Object} commit - Commit object with a compact files list
+ * @returns {Array} - Array of { path, additions, deletions }
+ */
+export function getCommitFiles(commit) {
+  return (commit.files || []).map(([path, additions, deletions]) => ({
+    path,
+    additions,
+    deletions,
+  }));
+}
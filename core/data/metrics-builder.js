@@ -1,18 +1,94 @@
 import { getLocalCodingDay, getLocalHour } from "../utils/timezone.js";
 import { groupBy, uniq, calculateBoxPlotStats } from "../utils/array.js";
-import { isPrivateCommit, isForkCommit } from "./transforms.js";
+import {
+  isPrivateCommit,
+  isForkCommit,
+  isMergeCommit,
+  getCommitLoc,
+  getRawCommitLoc,
+  hasFileList,
+} from "./transforms.js";
 import { extractBasicCommitIntervals } from "./sessions.js";
 import { determineSessionThreshold } from "./threshold-analysis.js";
 import { SessionBuilder } from "./session-builder.js";
+import { compileAiRules, tagAiCommits } from "./ai-detection.js";
+import { compileBotRules, tagBotCommits } from "./bot-detection.js";
+import { createFacetFilter } from "./facets.js";
+import {
+  classifyCommits,
+  compileFileClassifier,
+  getCommitFiles,
+} from "./file-classification.js";
+
+const languageLocEntries = (commit) => Object.entries(commit.languageLoc || {});
+
+const categoryLocEntries = (commit) => Object.entries(commit.categoryLoc || {});
+
+export const MERGE_POLICIES = Object.freeze(["include", "exclude", "zero-loc"]);
+
+/**
+ * Flag merge commits and apply the merge policy
+ * @param {Array} commits - Array of commit objects
+ * @param {string} mergePolicy - One of MERGE_POLICIES
+ * @returns {Array} - Commits with isMerge set, merges dropped or zeroed per policy
+ */
+function applyMergePolicy(commits, mergePolicy) {
+  if (!MERGE_POLICIES.includes(mergePolicy)) {
+    throw new Error(
+      `Unknown merge policy "${mergePolicy}". Use one of: ${MERGE_POLICIES.join(
+        ", "
+      )}`
+    );
+  }
+  const flagged = commits.map((commit) => ({
+    ...commit,
+    isMerge: isMergeCommit(commit),
+  }));
+  if (mergePolicy === "exclude") {
+    return flagged.filter((commit) => !commit.isMerge);
+  }
+  if (mergePolicy === "zero-loc") {
+    return flagged.map((commit) =>
+      commit.isMerge
+        ? {
+            ...commit,
+            adjustedAdditions: 0,
+            adjustedDeletions: 0,
+            categoryLoc: {},
+            // Keep the file list so the merge isn't counted as missing files
+            files: (commit.files || []).map(([path]) => [path, 0, 0]),
+          }
+        : commit
+    );
+  }
+  return flagged;
+}
 
 export class MetricsBuilder {
+  /**
+   * Create a builder for a period, validating the commit range and tagging commits
+   * @param {Array} commits - All commits fetched for the period (including buffer days)
+   * @param {Object} repoMetadata - Repository metadata object
+   * @param {Object} tzConfig - Timezone config with offsetHours and boundaryHour
+   * @param {string} periodStart - Period start in YYYY-MM-DD format
+   * @param {string} periodEnd - Period end in YYYY-MM-DD format
+   * @param {string} periodName - Name of the period
+   * @param {Object} options - Builder options
+   * @param {Object} options.aiRules - Compiled AI detection rules (defaults to DEFAULT_AI_RULES)
+   * @param {Object} options.fileClassifier - Compiled file classifier (defaults to DEFAULT_FILE_CATEGORIES)
+   * @param {string} options.mergePolicy - "include" (default), "exclude", or "zero-loc" to count merges without their LOC
+   * @param {Object} options.botRules - Compiled bot detection rules (defaults to DEFAULT_BOT_RULES)
+   * @param {boolean} options.excludeBots - Drop bot and release automation commits (default true)
+   * @returns {MetricsBuilder}
+   */
   static forPeriod(
     commits,
     repoMetadata,
     tzConfig,
     periodStart,
     periodEnd,
-    periodName
+    periodName,
+    options = {}
   ) {
     const periodStartDate = new Date(periodStart);
     const periodEndDate = new Date(periodEnd);
@@ -56,10 +132,33 @@ export class MetricsBuilder {
         );
       });
     }
-    const periodCommits = commits.filter((commit) => {
+    commits = classifyCommits(
+      commits,
+      options.fileClassifier || compileFileClassifier()
+    );
+    commits = tagAiCommits(commits, options.aiRules || compileAiRules());
+    commits = tagBotCommits(commits, options.botRules || compileBotRules());
+    const isInPeriod = (commit) => {
       const commitCodingDay = getLocalCodingDay(commit.timestamp, tzConfig);
       return commitCodingDay >= periodStart && commitCodingDay <= periodEnd;
-    });
+    };
+    const botSummary = {
+      excluded: options.excludeBots ?? true,
+      found: commits.filter((commit) => isInPeriod(commit) && commit.isBot)
+        .length,
+    };
+    if (botSummary.excluded) {
+      commits = commits.filter((commit) => !commit.isBot);
+    }
+    const mergePolicy = options.mergePolicy || "include";
+    const mergeSummary = {
+      policy: mergePolicy,
+      found: commits.filter(
+        (commit) => isInPeriod(commit) && isMergeCommit(commit)
+      ).length,
+    };
+    commits = applyMergePolicy(commits, mergePolicy);
+    const periodCommits = commits.filter(isInPeriod);
     const thresholdAnalysis = determineSessionThreshold(
       periodCommits,
       tzConfig
@@ -71,7 +170,9 @@ export class MetricsBuilder {
       periodCommits,
       thresholdAnalysis,
       thresholdAnalysis?.threshold,
-      periodName
+      periodName,
+      mergeSummary,
+      botSummary
     );
   }
 
@@ -82,7 +183,9 @@ export class MetricsBuilder {
     filteredCommits,
     thresholdAnalysis,
     sessionThreshold,
-    periodName = null
+    periodName = null,
+    mergeSummary = { policy: "include", found: 0 },
+    botSummary = { excluded: false, found: 0 }
   ) {
     this.GLOBAL_COMMITS = Object.freeze(commits);
     this.REPO_METADATA = Object.freeze(repoMetadata);
@@ -91,6 +194,8 @@ export class MetricsBuilder {
     this.THRESHOLD_ANALYSIS = Object.freeze(thresholdAnalysis);
     this.SESSION_THRESHOLD = sessionThreshold;
     this.PERIOD_NAME = periodName;
+    this.MERGE_SUMMARY = Object.freeze(mergeSummary);
+    this.BOT_SUMMARY = Object.freeze(botSummary);
     Object.freeze(this);
   }
 
@@ -102,7 +207,22 @@ export class MetricsBuilder {
       this.GLOBAL_COMMITS.filter(filterFn),
       this.THRESHOLD_ANALYSIS,
       this.SESSION_THRESHOLD,
-      this.PERIOD_NAME
+      this.PERIOD_NAME,
+      this.MERGE_SUMMARY,
+      this.BOT_SUMMARY
+    );
+  }
+
+  /**
+   * Narrow the current selection to commits matching a facet spec
+   * @param {Object} spec - Facet values, e.g. { aiAssisted: true }
+   * @returns {MetricsBuilder}
+   */
+  withFacets(spec) {
+    const facetFilter = createFacetFilter(spec, this.REPO_METADATA);
+    const selected = new Set(this.FILTERED_COMMITS);
+    return this.withFilter(
+      (commit) => selected.has(commit) && facetFilter(commit)
     );
   }
 
@@ -114,7 +234,9 @@ export class MetricsBuilder {
       this.FILTERED_COMMITS,
       this.THRESHOLD_ANALYSIS,
       minutes,
-      this.PERIOD_NAME
+      this.PERIOD_NAME,
+      this.MERGE_SUMMARY,
+      this.BOT_SUMMARY
     );
   }
 
@@ -146,6 +268,9 @@ export class MetricsBuilder {
     const locPerHour = this._computeHourlyLocDistribution();
     const activeHoursPerDay = this._computeActiveHoursMetric();
     const byHour = this._computeCommitsByHourOfDay();
+    const filesPerDay = this._computeFilesPerDayMetric();
+    const locByLanguage = this._computeDailyLocBreakdown(languageLocEntries);
+    const fileCategoryShare = this._computeFileCategoryShareMetric();
     const commitsByDay = groupBy(this.FILTERED_COMMITS, (commit) =>
       getLocalCodingDay(commit.timestamp, this.TZ_CONFIG, this.PERIOD_NAME)
     );
@@ -162,6 +287,9 @@ export class MetricsBuilder {
     );
     const commitsPerHourStats = calculateBoxPlotStats(commitsPerHour);
     const locPerHourStats = calculateBoxPlotStats(locPerHour);
+    const filesPerDayStats = calculateBoxPlotStats(
+      filesPerDay.map((d) => d.files_per_day)
+    );
     return {
       commits,
       loc,
@@ -171,12 +299,22 @@ export class MetricsBuilder {
       loc_per_hour: locPerHour,
       active_hours_per_day: activeHoursPerDay,
       commits_by_hour_of_day: byHour,
+      files_per_day: filesPerDay,
+      loc_by_language: locByLanguage.map(({ date, key, loc }) => ({
+        date,
+        language: key,
+        loc_by_language: loc,
+      })),
+      file_category_share: fileCategoryShare,
       summary: {
         total_commits: this.FILTERED_COMMITS.length,
         total_active_days: Object.keys(commitsByDay).length,
         total_lines_changed: this.FILTERED_COMMITS.reduce(
-          (sum, commit) =>
-            sum + (commit.additions || 0) + (commit.deletions || 0),
+          (sum, commit) => sum + getCommitLoc(commit),
+          0
+        ),
+        total_lines_changed_raw: this.FILTERED_COMMITS.reduce(
+          (sum, commit) => sum + getRawCommitLoc(commit),
           0
         ),
         private_repo_percentage:
@@ -187,6 +325,23 @@ export class MetricsBuilder {
                 this.FILTERED_COMMITS.length) *
               100
             : 0,
+        merge_commits: this.FILTERED_COMMITS.filter((c) => c.isMerge).length,
+        merge_commits_found: this.MERGE_SUMMARY.found,
+        merge_policy: this.MERGE_SUMMARY.policy,
+        bot_commits: this.FILTERED_COMMITS.filter((c) => c.isBot).length,
+        bot_commits_found: this.BOT_SUMMARY.found,
+        bots_excluded: this.BOT_SUMMARY.excluded,
+        commits_without_files: this.FILTERED_COMMITS.filter(
+          (c) => !hasFileList(c)
+        ).length,
+        ai_assisted_commits: this.FILTERED_COMMITS.filter((c) => c.aiAssisted)
+          .length,
+        ai_assisted_percentage:
+          this.FILTERED_COMMITS.length > 0
+            ? (this.FILTERED_COMMITS.filter((c) => c.aiAssisted).length /
+                this.FILTERED_COMMITS.length) *
+              100
+            : 0,
         fork_percentage:
           this.FILTERED_COMMITS.length > 0
             ? (this.FILTERED_COMMITS.filter((c) =>
@@ -216,6 +371,11 @@ export class MetricsBuilder {
         active_hours_per_day_stats: activeHoursStats,
         commits_per_hour_stats: commitsPerHourStats,
         loc_per_hour_stats: locPerHourStats,
+        files_per_day_stats: filesPerDayStats,
+        loc_by_language_totals:
+          this._computeLocBreakdownTotals(languageLocEntries),
+        file_category_totals:
+          this._computeLocBreakdownTotals(categoryLocEntries),
       },
     };
   }
@@ -297,13 +457,13 @@ export class MetricsBuilder {
     );
     return Object.entries(commitsByDay).map(([date, dayCommits]) => ({
       date,
-      loc: dayCommits.reduce((sum, c) => sum + c.additions + c.deletions, 0),
+      loc: dayCommits.reduce((sum, c) => sum + getCommitLoc(c), 0),
     }));
   }
 
   _computeLocPerCommitMetric() {
     return this.FILTERED_COMMITS.map((commit) => ({
-      loc_per_commit: (commit.additions || 0) + (commit.deletions || 0),
+      loc_per_commit: getCommitLoc(commit),
     }));
   }
 
@@ -313,6 +473,66 @@ export class MetricsBuilder {
     }));
   }
 
+  _computeFilesPerDayMetric() {
+    const commitsByDay = groupBy(
+      this.FILTERED_COMMITS.filter((commit) => commit.files?.length > 0),
+      (commit) => getLocalCodingDay(commit.timestamp, this.TZ_CONFIG)
+    );
+    return Object.entries(commitsByDay).map(([date, dayCommits]) => ({
+      date,
+      files_per_day: uniq(
+        dayCommits.flatMap((commit) =>
+          getCommitFiles(commit).map((file) => `${commit.repo}:${file.path}`)
+        )
+      ).length,
+    }));
+  }
+
+  _computeDailyLocBreakdown(entriesFn) {
+    const dailyLoc = {};
+    this.FILTERED_COMMITS.forEach((commit) => {
+      const date = getLocalCodingDay(commit.timestamp, this.TZ_CONFIG);
+      entriesFn(commit).forEach(([key, loc]) => {
+        const entryKey = `${date}|${key}`;
+        dailyLoc[entryKey] = (dailyLoc[entryKey] || 0) + loc;
+      });
+    });
+    return Object.entries(dailyLoc).map(([entryKey, loc]) => {
+      const [date, key] = entryKey.split("|");
+      return { date, key, loc };
+    });
+  }
+
+  _computeFileCategoryShareMetric() {
+    const breakdown = this._computeDailyLocBreakdown(categoryLocEntries);
+    const dailyTotals = breakdown.reduce(
+      (totals, { date, loc }) => ({
+        ...totals,
+        [date]: (totals[date] || 0) + loc,
+      }),
+      {}
+    );
+    return breakdown
+      .filter(({ date }) => dailyTotals[date] > 0)
+      .map(({ date, key, loc }) => ({
+        date,
+        category: key,
+        file_category_share: (loc / dailyTotals[date]) * 100,
+      }));
+  }
+
+  _computeLocBreakdownTotals(entriesFn) {
+    const totals = {};
+    this.FILTERED_COMMITS.forEach((commit) => {
+      entriesFn(commit).forEach(([key, loc]) => {
+        totals[key] = (totals[key] || 0) + loc;
+      });
+    });
+    return Object.fromEntries(
+      Object.entries(totals).sort(([, a], [, b]) => b - a)
+    );
+  }
+
   _computeHourlyCommitDistribution() {
     const hourlyCommits = {};
     this.FILTERED_COMMITS.forEach((commit) => {
@@ -349,10 +569,7 @@ export class MetricsBuilder {
       const hourKey = `${localCodingDay}T${localHour
         .toString()
         .padStart(2, "0")}`;
-      hourlyLoc[hourKey] =
-        (hourlyLoc[hourKey] || 0) +
-        (commit.additions || 0) +
-        (commit.deletions || 0);
+      hourlyLoc[hourKey] = (hourlyLoc[hourKey] || 0) + getCommitLoc(commit);
     });
     return Object.values(hourlyLoc);
   }
@@ -0,0 +1,571 @@
+import { DEFAULT_MIN_CONFIDENCE } from "./duplicate-commits.js";
+import { MERGE_POLICIES } from "./metrics-builder.js";
+
+export const PARAMETERS_VERSION = 2;
+
+const hour = { type: "integer", min: 0, max: 23 };
+const stringList = { type: "array", items: { type: "string" } };
+const rulesObject = { type: "object", additionalProperties: true };
+
+export const PARAMETERS_SCHEMA = Object.freeze({
+  type: "object",
+  required: ["PERIODS", "GITHUB_USERNAMES"],
+  properties: {
+    VERSION: { type: "integer", min: 0 },
+    PERIODS: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["name", "start", "end"],
+        properties: {
+          name: { type: "string" },
+          start: { type: "date" },
+          end: { type: "date" },
+        },
+      },
+    },
+    GITHUB_USERNAMES: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["username"],
+        properties: {
+          username: { type: "string" },
+          source: { type: "string" },
+          timezone_offset_hours: { type: "number", min: -12, max: 14 },
+          day_boundary: hour,
+          day_boundary_utc: hour,
+          period_day_boundaries: { type: "object", values: hour },
+          period_timezone_offsets: {
+            type: "object",
+            values: { type: "number" },
+          },
+          aliases: {
+            type: "object",
+            properties: { logins: stringList, emails: stringList },
+          },
+          local_repos: stringList,
+          local_repos_private: { type: "boolean" },
+          git_authors: stringList,
+          repo_rules: rulesObject,
+        },
+      },
+    },
+    LOCAL_DAY_BOUNDARY: hour,
+    DAY_BOUNDARY_THRESHOLD_HOURS: { type: "number", min: 0, default: 1 },
+    GITHUB_SOURCES: {
+      type: "object",
+      values: {
+        type: "object",
+        properties: {
+          api_url: { type: "string" },
+          graphql_url: { type: "string" },
+          token_env: { type: ["string", "array"] },
+          apps: { type: "array", items: rulesObject },
+        },
+      },
+    },
+    FETCH_OPTIONS: {
+      type: "object",
+      default: {},
+      properties: {
+        all_branches: { type: "boolean", default: true },
+        checkpoints: { type: "boolean", default: true },
+        concurrency: { type: "integer", min: 1 },
+        mode: { enum: ["rest", "graphql"], default: "rest" },
+        graphql_file_details: { type: "boolean", default: true },
+        http_cache: { type: "boolean", default: true },
+        retry: {
+          type: "object",
+          properties: {
+            max_retries: { type: "integer", min: 0 },
+            base_delay_ms: { type: "integer", min: 0 },
+            max_delay_ms: { type: "integer", min: 0 },
+            jitter: { type: "number", min: 0, max: 1 },
+            retry_on: {
+              type: "array",
+              items: {
+                enum: [
+                  "rate_limit",
+                  "secondary_rate_limit",
+                  "server_error",
+                  "network",
+                ],
+              },
+            },
+          },
+        },
+      },
+    },
+    FILE_CLASSIFICATION: rulesObject,
+    LOC_EXCLUSIONS: rulesObject,
+    COMMIT_FILTER: rulesObject,
+    REPO_RULES: rulesObject,
+    AI_DETECTION: rulesObject,
+    BOT_DETECTION: {
+      type: "object",
+      default: {},
+      properties: {
+        authors: stringList,
+        message_patterns: stringList,
+        ignore_authors: stringList,
+        extend_defaults: { type: "boolean" },
+        exclude: { type: "boolean", default: true },
+      },
+    },
+    MERGE_POLICY: { enum: [...MERGE_POLICIES], default: "include" },
+    DEDUP_OPTIONS: {
+      type: "object",
+      default: {},
+      properties: {
+        min_confidence: {
+          type: "number",
+          min: 0,
+          max: 1,
+          default: DEFAULT_MIN_CONFIDENCE,
+        },
+        auto_remove: { type: "boolean", default: false },
+      },
+    },
+  },
+});
+
+/**
+ * Parse parameters.json text, allowing comments and trailing commas
+ * Comments and trailing commas are blanked rather than removed so JSON.parse
+ * positions still point at the original text. Both are only recognized
+ * outside strings, so regex patterns such as "\\d{1,}" are left intact.
+ * @param {string} text - File contents
+ * @param {string} fileName - Name used in error messages
+ * @returns {Object} - Parsed parameters
+ */
+export function parseParametersText(text, fileName = "parameters.json") {
+  const output = [];
+  let inString = false;
+  let pendingComma = -1;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      output.push(char);
+      if (char === "\\") {
+        output.push(text[++i] ?? "");
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === "/" && text[i + 1] === "/") {
+      while (i < text.length && text[i] !== "\n") {
+        output.push(" ");
+        i++;
+      }
+      output.push(text[i] ?? "");
+    } else if (char === "/" && text[i + 1] === "*") {
+      const end = text.indexOf("*/", i + 2);
+      const commentEnd = end === -1 ? text.length : end + 2;
+      output.push(text.slice(i, commentEnd).replace(/[^\n]/g, " "));
+      i = commentEnd - 1;
+    } else if (/\s/.test(char)) {
+      output.push(char);
+    } else {
+      if ((char === "}" || char === "]") && pendingComma !== -1) {
+        output[pendingComma] = " ";
+      }
+      pendingComma = char === "," ? output.length : -1;
+      inString = char === '"';
+      output.push(char);
+    }
+  }
+  try {
+    return JSON.parse(output.join(""));
+  } catch (error) {
+    const position = Number(error.message.match(/position (\d+)/)?.[1]);
+    if (Number.isNaN(position)) {
+      throw new Error(`${fileName}: ${error.message}`);
+    }
+    const before = text.slice(0, position).split("\n");
+    throw new Error(
+      `${fileName}:${before.length}:${before[before.length - 1].length + 1}: ${
+        error.message
+      }`
+    );
+  }
+}
+
+/**
+ * Format a parameter path segment, quoting keys that are not identifiers
+ * @param {string} path - Path so far
+ * @param {string|number} key - Object key or array index
+ * @returns {string} - Extended path, e.g. PERIODS[1].start
+ */
+function joinPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  if (!/^[A-Za-z_$][\w$]*$/.test(key)) return `${path}[${JSON.stringify(key)}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Find a known key close to an unknown one, to suggest a fix for typos
+ * @param {string} key - Unknown key
+ * @param {Array} known - Keys allowed at this path
+ * @returns {string|null} - Closest known key within two edits, or null
+ */
+function suggestKey(key, known) {
+  const distance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(
+          row[j] + 1,
+          row[j - 1] + 1,
+          previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        previous = current;
+      }
+    }
+    return row[b.length];
+  };
+  const scored = known
+    .map((candidate) => ({
+      candidate,
+      score: distance(key.toLowerCase(), candidate.toLowerCase()),
+    }))
+    .sort((a, b) => a.score - b.score);
+  return scored.length > 0 && scored[0].score <= 2 ? scored[0].candidate : null;
+}
+
+/**
+ * Describe the JSON type of a value for error messages
+ * @param {*} value - Any parsed JSON value
+ * @returns {string} - "array", "null" or the typeof name
+ */
+function typeName(value) {
+  if (Array.isArray(value)) return "array";
+  return value === null ? "null" : typeof value;
+}
+
+/**
+ * Check a value's type against a schema type name
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean} - True if the value has the type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "date":
+      return (
+        typeof value === "string" &&
+        /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+        !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) &&
+        new Date(`${value}T00:00:00Z`).toISOString().startsWith(value)
+      );
+    case "object":
+      return typeName(value) === "object";
+    default:
+      return typeName(value) === type;
+  }
+}
+
+/**
+ * Validate a value against a schema node, collecting errors with their paths
+ * Keys starting with "_" are allowed anywhere, for notes and tool output.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node
+ * @param {string} path - Path of the value
+ * @param {Array} errors - Array of { path, message } to append to
+ */
+function validateNode(value, schema, path, errors) {
+  if (schema.enum) {
+    if (!schema.enum.includes(value)) {
+      errors.push({
+        path,
+        message: `must be one of ${schema.enum
+          .map((option) => JSON.stringify(option))
+          .join(", ")}, got ${JSON.stringify(value)}`,
+      });
+    }
+    return;
+  }
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (!types.some((type) => hasType(value, type))) {
+    errors.push({
+      path,
+      message:
+        types[0] === "date"
+          ? `must be a date in YYYY-MM-DD format, got ${JSON.stringify(value)}`
+          : `must be ${types.join(" or ")}, got ${typeName(value)}`,
+    });
+    return;
+  }
+  if (typeof value === "number") {
+    if (schema.min !== undefined && value < schema.min) {
+      errors.push({ path, message: `must be at least ${schema.min}` });
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      errors.push({ path, message: `must be at most ${schema.max}` });
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({
+        path,
+        message: `must have at least ${schema.minItems} entr${
+          schema.minItems === 1 ? "y" : "ies"
+        }`,
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        validateNode(item, schema.items, joinPath(path, index), errors)
+      );
+    }
+    return;
+  }
+  if (typeName(value) !== "object") return;
+  (schema.required || [])
+    .filter((key) => value[key] === undefined)
+    .forEach((key) =>
+      errors.push({ path: joinPath(path, key), message: "is required" })
+    );
+  const properties = schema.properties || {};
+  Object.entries(value).forEach(([key, child]) => {
+    const childPath = joinPath(path, key);
+    if (properties[key]) {
+      validateNode(child, properties[key], childPath, errors);
+    } else if (schema.values) {
+      validateNode(child, schema.values, childPath, errors);
+    } else if (!schema.additionalProperties && !key.startsWith("_")) {
+      const suggestion = suggestKey(key, Object.keys(properties));
+      errors.push({
+        path: childPath,
+        message: `is not a known setting${
+          suggestion ? ` (did you mean "${suggestion}"?)` : ""
+        }`,
+      });
+    }
+  });
+}
+
+/**
+ * Validate parameters against the schema and across fields
+ * Cross-field checks skip entries that already failed the schema.
+ * @param {Object} params - Parsed (and migrated) parameters
+ * @returns {Object} - { errors, warnings }, each an array of { path, message }
+ */
+export function validateParameters(params) {
+  const errors = [];
+  const warnings = [];
+  validateNode(params, PARAMETERS_SCHEMA, "", errors);
+  const entries = (key) =>
+    (Array.isArray(params[key]) ? params[key] : [])
+      .map((entry, index) => [entry, joinPath(key, index)])
+      .filter(([entry]) => typeName(entry) === "object");
+  const periodNames = new Set();
+  entries("PERIODS").forEach(([period, path]) => {
+    if (
+      hasType(period.start, "date") &&
+      hasType(period.end, "date") &&
+      period.start > period.end
+    ) {
+      errors.push({
+        path,
+        message: `start ${period.start} is after end ${period.end}`,
+      });
+    }
+    if (periodNames.has(period.name)) {
+      errors.push({
+        path: joinPath(path, "name"),
+        message: `duplicates period "${period.name}"`,
+      });
+    }
+    periodNames.add(period.name);
+  });
+  const sources = new Set([
+    "github.com",
+    ...Object.keys(params.GITHUB_SOURCES || {}),
+  ]);
+  const usernames = new Set();
+  entries("GITHUB_USERNAMES").forEach(([user, path]) => {
+    if (usernames.has(user.username)) {
+      errors.push({
+        path: joinPath(path, "username"),
+        message: `duplicates user "${user.username}"`,
+      });
+    }
+    usernames.add(user.username);
+    if (typeof user.source === "string" && !sources.has(user.source)) {
+      errors.push({
+        path: joinPath(path, "source"),
+        message: `"${user.source}" is not a key of GITHUB_SOURCES`,
+      });
+    }
+    ["period_day_boundaries", "period_timezone_offsets"].forEach((field) => {
+      Object.keys(typeName(user[field]) === "object" ? user[field] : {})
+        .filter((name) => !periodNames.has(name))
+        .forEach((name) =>
+          warnings.push({
+            path: joinPath(joinPath(path, field), name),
+            message: "does not name a period in PERIODS and is ignored",
+          })
+        );
+    });
+  });
+  return { errors, warnings };
+}
+
+/**
+ * Check whether every value of a map equals the given value
+ * @param {Object} map - Map of period name to value
+ * @param {*} value - Expected value
+ * @returns {boolean} - True if the map is empty or all values match
+ */
+function allValuesEqual(map, value) {
+  return Object.values(map).every((entry) => entry === value);
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "GITHUB_USERNAMES entries given as strings become objects",
+    migrate: (params) => ({
+      ...params,
+      GITHUB_USERNAMES: Array.isArray(params.GITHUB_USERNAMES)
+        ? params.GITHUB_USERNAMES.map((user) =>
+            typeof user === "string" ? { username: user } : user
+          )
+        : params.GITHUB_USERNAMES,
+    }),
+  },
+  {
+    version: 2,
+    description:
+      "per-period day boundaries and timezone offsets also set the common day_boundary_utc and timezone_offset_hours, and are dropped when every period has the same value",
+    migrate: (params) => ({
+      ...params,
+      GITHUB_USERNAMES: Array.isArray(params.GITHUB_USERNAMES)
+        ? params.GITHUB_USERNAMES.map((user) => {
+            if (typeName(user) !== "object") return user;
+            const migrated = { ...user };
+            const periodNames = (params.PERIODS || []).map((p) => p?.name);
+            [
+              ["period_day_boundaries", "day_boundary_utc"],
+              ["period_timezone_offsets", "timezone_offset_hours"],
+            ].forEach(([perPeriodField, commonField]) => {
+              const values = migrated[perPeriodField];
+              if (typeName(values) !== "object") return;
+              const firstPeriod = periodNames.find((name) => name in values);
+              migrated[commonField] ??=
+                values[firstPeriod] ?? Object.values(values)[0];
+              if (allValuesEqual(values, migrated[commonField])) {
+                delete migrated[perPeriodField];
+              }
+            });
+            return migrated;
+          })
+        : params.GITHUB_USERNAMES,
+    }),
+  },
+];
+
+/**
+ * Bring parameters written by an older version up to PARAMETERS_VERSION
+ * Files without a VERSION key are version 0.
+ * @param {Object} params - Parsed parameters
+ * @returns {Object} - { parameters, from, applied } where applied lists the migrations run
+ */
+export function migrateParameters(params) {
+  const from = params.VERSION ?? 0;
+  if (from > PARAMETERS_VERSION) {
+    throw new Error(
+      `VERSION ${from} is newer than this tool supports (${PARAMETERS_VERSION}); update vibe-gain`
+    );
+  }
+  const pending = MIGRATIONS.filter((migration) => migration.version > from);
+  const migrated = pending.reduce(
+    (current, migration) => migration.migrate(current),
+    params
+  );
+  const { VERSION, ...settings } = migrated;
+  return {
+    parameters: { VERSION: PARAMETERS_VERSION, ...settings },
+    from,
+    applied: pending.map(
+      ({ version, description }) => `v${version}: ${description}`
+    ),
+  };
+}
+
+/**
+ * Fill in schema defaults for missing settings
+ * @param {*} value - Value at this schema node
+ * @param {Object} schema - Schema node
+ * @returns {*} - Value with defaults, without modifying the input
+ */
+function applyDefaults(value, schema) {
+  if (Array.isArray(value) && schema.items) {
+    return value.map((item) => applyDefaults(item, schema.items));
+  }
+  if (typeName(value) !== "object" || !schema.properties) {
+    return value;
+  }
+  const result = { ...value };
+  Object.entries(schema.properties).forEach(([key, child]) => {
+    if (result[key] === undefined && child.default !== undefined) {
+      result[key] = structuredClone(child.default);
+    }
+    if (result[key] !== undefined) {
+      result[key] = applyDefaults(result[key], child);
+    }
+  });
+  return result;
+}
+
+/**
+ * Migrate, validate and fill in defaults for parsed parameters
+ * @param {Object} params - Parsed parameters
+ * @param {Object} options - Normalization options
+ * @param {boolean} options.applyDefaults - Fill in schema defaults (default true); off when the result is written back
+ * @returns {Object} - { parameters, errors, warnings, migration } where migration is { from, applied }
+ */
+export function normalizeParameters(
+  params,
+  { applyDefaults: withDefaults = true } = {}
+) {
+  if (typeName(params) !== "object") {
+    return {
+      parameters: params,
+      errors: [
+        { path: "", message: `must be an object, got ${typeName(params)}` },
+      ],
+      warnings: [],
+      migration: { from: null, applied: [] },
+    };
+  }
+  const { parameters, from, applied } = migrateParameters(params);
+  const { errors, warnings } = validateParameters(parameters);
+  return {
+    parameters:
+      withDefaults && errors.length === 0
+        ? applyDefaults(parameters, PARAMETERS_SCHEMA)
+        : parameters,
+    errors,
+    warnings,
+    migration: { from, applied },
+  };
+}
+
+/**
+ * Format validation issues one per line
+ * @param {Array} issues - Array of { path, message }
+ * @returns {string} - Lines like "  - PERIODS[1].start: must be a date ..."
+ */
+export function formatParameterIssues(issues) {
+  return issues
+    .map(({ path, message }) => `  - ${path || "(root)"}: ${message}`)
+    .join("\n");
+}
@@ -23,7 +23,14 @@ export class PeriodDataManager {
     return await this.dataLoader.exists(periodName);
   }
 
-  async createMetricsBuilder(periodName, startDate, endDate, tzConfig, filter) {
+  async createMetricsBuilder(
+    periodName,
+    startDate,
+    endDate,
+    tzConfig,
+    filter,
+    options = {}
+  ) {
     const { commits, repoMetadata } = await this.loadPeriodData(periodName);
     let builder = MetricsBuilder.forPeriod(
       commits,
@@ -31,7 +38,8 @@ export class PeriodDataManager {
       tzConfig,
       startDate,
       endDate,
-      periodName
+      periodName,
+      options
     );
     if (filter) {
       builder = builder.withFilter(filter);
@@ -0,0 +1,129 @@
+import { globToRegExp } from "../utils/glob.js";
+
+const lowerSet = (values) =>
+  values && values.length > 0
+    ? new Set(values.map((value) => value.toLowerCase()))
+    : null;
+
+/**
+ * Compile repository include/exclude rules
+ * Per-user rules are merged over the shared ones key by key.
+ * @param {Object} config - Rules from parameters.json REPO_RULES
+ * @param {Array} config.include - owner/name globs; when set, only matching repositories are kept
+ * @param {Array} config.exclude - owner/name globs of repositories to drop
+ * @param {Array} config.orgs - Owners (users or orgs) to keep; others are dropped
+ * @param {boolean} config.skip_archived - Drop archived repositories (default false)
+ * @param {boolean} config.skip_forks - Drop forks (default false)
+ * @param {boolean} config.skip_templates - Drop template repositories (default false)
+ * @param {Object} config.topics - { include, exclude } topic lists
+ * @param {Object} config.languages - { include, exclude } primary language lists
+ * @param {Object} overrides - Rules from the user's repo_rules entry
+ * @returns {Object} - Compiled rules for getRepoNameExclusion and getRepoMetadataExclusion
+ */
+export function compileRepoRules(config = {}, overrides = {}) {
+  const rules = { ...config, ...overrides };
+  const patterns = (globs) =>
+    (globs || []).map((glob) => ({ glob, regExp: globToRegExp(glob) }));
+  return Object.freeze({
+    include: patterns(rules.include),
+    exclude: patterns(rules.exclude),
+    orgs: lowerSet(rules.orgs),
+    skipArchived: rules.skip_archived ?? false,
+    skipForks: rules.skip_forks ?? false,
+    skipTemplates: rules.skip_templates ?? false,
+    topics: {
+      include: lowerSet(rules.topics?.include),
+      exclude: lowerSet(rules.topics?.exclude),
+    },
+    languages: {
+      include: lowerSet(rules.languages?.include),
+      exclude: lowerSet(rules.languages?.exclude),
+    },
+  });
+}
+
+/**
+ * Check whether any rule needs repository metadata to be evaluated
+ * @param {Object} rules - Compiled rules from compileRepoRules
+ * @returns {boolean} - True if getRepoMetadataExclusion can exclude anything
+ */
+export function needsRepoMetadata(rules) {
+  return Boolean(
+    rules.skipArchived ||
+    rules.skipForks ||
+    rules.skipTemplates ||
+    rules.topics.include ||
+    rules.topics.exclude ||
+    rules.languages.include ||
+    rules.languages.exclude
+  );
+}
+
+/**
+ * Apply the rules that only need the repository name
+ * @param {string} fullName - Repository full name (owner/name)
+ * @param {Object} rules - Compiled rules from compileRepoRules
+ * @returns {Object|null} - { rule, reason } if the repository is excluded, otherwise null
+ */
+export function getRepoNameExclusion(fullName, rules) {
+  const owner = fullName.split("/")[0].toLowerCase();
+  if (rules.orgs && !rules.orgs.has(owner)) {
+    return { rule: "orgs", reason: `owner ${owner} is not in orgs` };
+  }
+  const excludedBy = rules.exclude.find(({ regExp }) => regExp.test(fullName));
+  if (excludedBy) {
+    return { rule: "exclude", reason: `matches ${excludedBy.glob}` };
+  }
+  if (
+    rules.include.length > 0 &&
+    !rules.include.some(({ regExp }) => regExp.test(fullName))
+  ) {
+    return { rule: "include", reason: "matches no include pattern" };
+  }
+  return null;
+}
+
+/**
+ * Apply the rules that need repository metadata
+ * @param {Object} repoInfo - Repository object from the GitHub REST API
+ * @param {Object} rules - Compiled rules from compileRepoRules
+ * @returns {Object|null} - { rule, reason } if the repository is excluded, otherwise null
+ */
+export function getRepoMetadataExclusion(repoInfo, rules) {
+  if (rules.skipArchived && repoInfo.archived) {
+    return { rule: "skip_archived", reason: "archived" };
+  }
+  if (rules.skipForks && repoInfo.fork) {
+    return {
+      rule: "skip_forks",
+      reason: repoInfo.parent ? `fork of ${repoInfo.parent.full_name}` : "fork",
+    };
+  }
+  if (rules.skipTemplates && repoInfo.is_template) {
+    return { rule: "skip_templates", reason: "template repository" };
+  }
+  const topics = (repoInfo.topics || []).map((topic) => topic.toLowerCase());
+  const excludedTopic = topics.find((topic) =>
+    rules.topics.exclude?.has(topic)
+  );
+  if (excludedTopic) {
+    return { rule: "topics", reason: `has excluded topic ${excludedTopic}` };
+  }
+  if (
+    rules.topics.include &&
+    !topics.some((topic) => rules.topics.include.has(topic))
+  ) {
+    return { rule: "topics", reason: "has none of the included topics" };
+  }
+  const language = repoInfo.language ? repoInfo.language.toLowerCase() : null;
+  if (language && rules.languages.exclude?.has(language)) {
+    return { rule: "languages", reason: `language ${repoInfo.language}` };
+  }
+  if (rules.languages.include && !rules.languages.include.has(language)) {
+    return {
+      rule: "languages",
+      reason: `language ${repoInfo.language || "unknown"} is not included`,
+    };
+  }
+  return null;
+}
@@ -1,6 +1,7 @@
 import { getLocalCodingDay, isSameCodingDay } from "../utils/timezone.js";
 import { groupBy, calculateBoxPlotStats } from "../utils/array.js";
 import { detectCodingSessions } from "./sessions.js";
+import { getCommitLoc } from "./transforms.js";
 
 export class SessionBuilder {
   constructor(
@@ -128,7 +129,7 @@ export class SessionBuilder {
           }
         );
         const locInSession = filteredCommitsInSession.reduce(
-          (sum, c) => sum + (c.additions || 0) + (c.deletions || 0),
+          (sum, c) => sum + getCommitLoc(c),
           0
         );
         const commitsInSession = filteredCommitsInSession.length;
@@ -1,5 +1,6 @@
 import { getLocalCodingDay, isSameCodingDay } from "../utils/timezone.js";
 import { uniq } from "../utils/array.js";
+import { getCommitLoc } from "./transforms.js";
 
 export function extractBasicCommitIntervals(commits, tzConfig) {
   if (!commits || commits.length < 2) {
@@ -77,13 +78,7 @@ export function detectCodingSessions(commits, sessionThresholdMinutes) {
     commits: session.commits,
     repositories: uniq(session.commits.map((c) => c.repo)),
     repoCount: uniq(session.commits.map((c) => c.repo)).length,
-    linesChanged: session.commits.reduce(
-      (sum, c) => sum + c.additions + c.deletions,
-      0
-    ),
-    locPerSession: session.commits.reduce(
-      (sum, c) => sum + c.additions + c.deletions,
-      0
-    ),
+    linesChanged: session.commits.reduce((sum, c) => sum + getCommitLoc(c), 0),
+    locPerSession: session.commits.reduce((sum, c) => sum + getCommitLoc(c), 0),
   }));
 }
@@ -1,44 +1,80 @@
+const COMMIT_SCHEMA = [
+  "repo",
+  "sha",
+  "timestamp",
+  "additions",
+  "deletions",
+  "filesChanged",
+  "isDocOnly",
+  "branches",
+  "subject",
+  "body",
+  "authorName",
+  "authorEmail",
+  "committerName",
+  "committerEmail",
+  "committerDate",
+  "parentCount",
+  "trailers",
+  "files",
+  "categoryLoc",
+  "adjustedAdditions",
+  "adjustedDeletions",
+  "isMerge",
+];
+
+const LIST_FIELDS = new Set(["branches", "trailers", "files"]);
+const MAP_FIELDS = new Set(["categoryLoc"]);
+
+/**
+ * Default value for a schema field missing from older data files
+ * @param {string} field - Schema field name
+ * @returns {*} - Empty list or map for collection fields, null otherwise
+ */
+function defaultFieldValue(field) {
+  if (LIST_FIELDS.has(field)) {
+    return [];
+  }
+  return MAP_FIELDS.has(field) ? {} : null;
+}
+
 /**
  * Convert commit objects to compact array format
  * @param {Array} commits - Array of commit objects
  * @returns {Object} - Compact schema-based representation
  */
 export function commitArrayFormat(commits) {
-  const schema = [
-    "repo",
-    "sha",
-    "timestamp",
-    "additions",
-    "deletions",
-    "filesChanged",
-    "isDocOnly",
-  ];
-  const data = commits.map((commit) => [
-    commit.repo,
-    commit.sha,
-    typeof commit.timestamp === "string"
-      ? commit.timestamp
-      : commit.timestamp.toISOString(),
-    commit.additions,
-    commit.deletions,
-    commit.filesChanged,
-    commit.isDocOnly,
-  ]);
-  return { schema, data };
+  const data = commits.map((commit) =>
+    COMMIT_SCHEMA.map((field) => {
+      const value = commit[field];
+      if (value instanceof Date) {
+        return value.toISOString();
+      }
+      return value === undefined ? defaultFieldValue(field) : value;
+    })
+  );
+  return { schema: [...COMMIT_SCHEMA], data };
 }
 
 /**
  * Convert compact array format back to commit objects
+ * Fields missing from older schemas are filled with defaults.
  * @param {Object} arrayFormat - Compact schema-based representation
  * @returns {Array} - Array of commit objects
  */
 export function arrayFormatToCommits(arrayFormat) {
   const { schema, data } = arrayFormat;
+  const missingFields = COMMIT_SCHEMA.filter(
+    (field) => !schema.includes(field)
+  );
   return data.map((row) => {
     const commit = {};
     row.forEach((value, index) => {
       commit[schema[index]] = value;
     });
+    missingFields.forEach((field) => {
+      commit[field] = defaultFieldValue(field);
+    });
     if (commit.timestamp && typeof commit.timestamp === "string") {
       commit.timestamp = new Date(commit.timestamp);
     }
@@ -46,6 +82,39 @@ export function arrayFormatToCommits(arrayFormat) {
   });
 }
 
+/**
+ * Get lines changed by a commit, excluding lockfiles, generated and vendored files
+ * Falls back to the raw totals for commits without adjusted counts.
+ * @param {Object} commit - Commit object
+ * @returns {number} - Adjusted additions plus deletions
+ */
+export function getCommitLoc(commit) {
+  return (
+    (commit.adjustedAdditions ?? commit.additions ?? 0) +
+    (commit.adjustedDeletions ?? commit.deletions ?? 0)
+  );
+}
+
+/**
+ * Check whether a commit's per-file changes were stored
+ * Commits fetched through GraphQL without file details only have totals, so
+ * languages, file categories and LOC exclusions can't be applied to them.
+ * @param {Object} commit - Commit object
+ * @returns {boolean} - False if the commit changed files but none are listed
+ */
+export function hasFileList(commit) {
+  return !(commit.filesChanged > 0) || (commit.files || []).length > 0;
+}
+
+/**
+ * Get lines changed by a commit as reported by git, with no exclusions
+ * @param {Object} commit - Commit object
+ * @returns {number} - Raw additions plus deletions
+ */
+export function getRawCommitLoc(commit) {
+  return (commit.additions || 0) + (commit.deletions || 0);
+}
+
 /**
  * Get repository metadata for a commit
  * @param {Object} commit - Commit object
@@ -61,10 +130,40 @@ export function getRepoMetadata(commit, repoMetadata) {
       created_at: null,
       owner: null,
       name: null,
+      language: null,
+      topics: [],
+      archived: false,
+      size: null,
+      license: null,
+      ownerType: null,
     }
   );
 }
 
+/**
+ * Create the stored metadata entry for a repository
+ * Fields the source could not provide (local clones have no language or
+ * topics, for example) are stored as null.
+ * @param {Object} repo - Repository object from findReposWithCommitsInPeriod or a local clone
+ * @returns {Object} - Repository metadata entry
+ */
+export function createRepoMetadata(repo) {
+  return {
+    private: repo.private ?? null,
+    isFork: repo.isFork || false,
+    parent: repo.parent ?? null,
+    created_at: repo.created_at ?? null,
+    owner: repo.owner?.login ?? null,
+    name: repo.name ?? null,
+    language: repo.language ?? null,
+    topics: repo.topics || [],
+    archived: repo.archived || false,
+    size: repo.size ?? null,
+    license: repo.license ?? null,
+    ownerType: repo.ownerType ?? null,
+  };
+}
+
 /**
  * Check if a commit is from a private repository
  * @param {Object} commit - Commit object
@@ -85,6 +184,16 @@ export function isForkCommit(commit, repoMetadata) {
   return getRepoMetadata(commit, repoMetadata).isFork || false;
 }
 
+/**
+ * Check if a commit is a merge commit
+ * Uses the stored flag, falling back to the parent count for older data.
+ * @param {Object} commit - Commit object
+ * @returns {boolean} - True if the commit has more than one parent
+ */
+export function isMergeCommit(commit) {
+  return commit.isMerge ?? (commit.parentCount || 0) > 1;
+}
+
 /**
  * Extract numeric values from metric data for analysis
  * @param {Array} metricData - Array of metric data (objects or numbers)
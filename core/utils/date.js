@@ -19,3 +19,94 @@ export function createDateRange(startDateStr, endDateStr) {
     untilQueryDate: endDate.toISOString().split("T")[0],
   };
 }
+
+/**
+ * Expand a period by buffer days on each side for session detection
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {number} bufferDays - Days to add before start and after end
+ * @returns {Object} - Object with expandedStartDate and expandedEndDate
+ */
+export function expandDateRange(startDate, endDate, bufferDays = 1) {
+  const fetchStartDate = new Date(startDate);
+  fetchStartDate.setDate(fetchStartDate.getDate() - bufferDays);
+  const fetchEndDate = new Date(endDate);
+  fetchEndDate.setDate(fetchEndDate.getDate() + bufferDays);
+  return {
+    expandedStartDate: fetchStartDate.toISOString().split("T")[0],
+    expandedEndDate: fetchEndDate.toISOString().split("T")[0],
+  };
+}
+
+/**
+ * Shift a date by a number of days
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} - Shifted date in YYYY-MM-DD format
+ */
+export function shiftDate(dateStr, days) {
+  const date = new Date(dateStr);
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+/**
+ * Split a date range into calendar months, clipped to the range
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @returns {Array} - Array of { month: "YYYY-MM", startDate, endDate }
+ */
+export function splitIntoMonths(startDate, endDate) {
+  const months = [];
+  let monthStart = startDate;
+  while (monthStart <= endDate) {
+    const [year, month] = monthStart.split("-").map(Number);
+    const nextMonth = new Date(Date.UTC(year, month, 1))
+      .toISOString()
+      .split("T")[0];
+    const monthEnd = shiftDate(nextMonth, -1);
+    months.push({
+      month: monthStart.slice(0, 7),
+      startDate: monthStart,
+      endDate: monthEnd < endDate ? monthEnd : endDate,
+    });
+    monthStart = nextMonth;
+  }
+  return months;
+}
+
+/**
+ * Split a date range into consecutive weeks starting at the range start
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @returns {Array} - Array of { startDate, endDate } of at most seven days each
+ */
+export function splitIntoWeeks(startDate, endDate) {
+  const weeks = [];
+  for (let weekStart = startDate; weekStart <= endDate;) {
+    const weekEnd = shiftDate(weekStart, 6);
+    weeks.push({
+      startDate: weekStart,
+      endDate: weekEnd < endDate ? weekEnd : endDate,
+    });
+    weekStart = shiftDate(weekStart, 7);
+  }
+  return weeks;
+}
+
+/**
+ * Split a date range of at least two days into two halves
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @returns {Array} - Two { startDate, endDate } ranges covering the range
+ */
+export function splitRangeInHalf(startDate, endDate) {
+  const days = Math.round(
+    (new Date(endDate).getTime() - new Date(startDate).getTime()) / 86400000
+  );
+  const mid = shiftDate(startDate, Math.floor(days / 2));
+  return [
+    { startDate, endDate: mid },
+    { startDate: shiftDate(mid, 1), endDate },
+  ];
+}
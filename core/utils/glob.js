@@ -0,0 +1,51 @@
+const REGEX_SPECIAL = /[.+^$()|[\]\\]/;
+
+/**
+ * Convert a glob pattern to a regular expression
+ * Supports `**` (any number of directories), `*`, `?` and `{a,b}` alternation.
+ * Patterns without a slash match the file name in any directory.
+ * @param {string} pattern - Glob pattern, e.g. "docs/**" or "*.lock"
+ * @returns {RegExp} - Anchored, case-insensitive regular expression
+ */
+export function globToRegExp(pattern) {
+  const anchored = pattern.includes("/") ? pattern : `**/${pattern}`;
+  let source = "";
+  let inGroup = false;
+  for (let i = 0; i < anchored.length; i++) {
+    const char = anchored[i];
+    if (char === "*" && anchored[i + 1] === "*") {
+      const followedBySlash = anchored[i + 2] === "/";
+      source += followedBySlash ? "(?:.*/)?" : ".*";
+      i += followedBySlash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      inGroup = true;
+      source += "(?:";
+    } else if (char === "}" && inGroup) {
+      inGroup = false;
+      source += ")";
+    } else if (char === "," && inGroup) {
+      source += "|";
+    } else if (REGEX_SPECIAL.test(char)) {
+      source += `\\${char}`;
+    } else {
+      source += char;
+    }
+  }
+  return new RegExp(`^${source}$`, "i");
+}
+
+/**
+ * Check whether a path matches any of the given glob patterns
+ * @param {string} filePath - Slash-separated path
+ * @param {Array} patterns - Glob patterns or compiled RegExps from globToRegExp
+ * @returns {boolean} - True if any pattern matches
+ */
+export function matchesAnyGlob(filePath, patterns) {
+  return patterns.some((pattern) =>
+    (pattern instanceof RegExp ? pattern : globToRegExp(pattern)).test(filePath)
+  );
+}
@@ -0,0 +1,311 @@
+import fs from "fs/promises";
+import crypto from "crypto";
+import { Octokit } from "@octokit/rest";
+import { getRequestBucket } from "./scheduler.js";
+import { classifyError } from "./errors.js";
+
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Encode a buffer or string as unpadded base64url
+ * @param {Buffer|string} value - Value to encode
+ * @returns {string} - base64url text
+ */
+function base64url(value) {
+  return Buffer.from(value).toString("base64url");
+}
+
+/**
+ * Sign a GitHub App JSON Web Token with the app's private key
+ * Tokens are backdated a minute for clock drift and live for nine minutes,
+ * under GitHub's ten minute limit.
+ * @param {string|number} appId - GitHub App ID
+ * @param {string} privateKey - PEM-encoded RSA private key
+ * @returns {string} - JWT signed with RS256
+ */
+export function createAppJwt(appId, privateKey) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: "RS256", typ: "JWT" }));
+  const payload = base64url(
+    JSON.stringify({ iat: now - 60, exp: now + 540, iss: String(appId) })
+  );
+  const signature = crypto
+    .createSign("RSA-SHA256")
+    .update(`${header}.${payload}`)
+    .sign(privateKey);
+  return `${header}.${payload}.${base64url(signature)}`;
+}
+
+/**
+ * Get the account a request is scoped to, used to pick a credential with access
+ * @param {Object} endpoint - Parsed endpoint with url
+ * @param {Object} options - Request options; GraphQL variables are top-level
+ * @returns {string|null} - Lowercased owner or org login, or null
+ */
+function getRequestOwner(endpoint, options) {
+  const match = new URL(endpoint.url).pathname.match(
+    /\/(?:repos|orgs|users)\/([^/]+)/
+  );
+  const owner = match ? match[1] : options.owner || options.login;
+  return owner ? owner.toLowerCase() : null;
+}
+
+/**
+ * Check whether an error means the credential cannot see the resource
+ * @param {Error} error - Error thrown by the request
+ * @returns {boolean} - True for 404s and non rate limit 403s
+ */
+function isAccessError(error) {
+  return (
+    (error.status === 403 || error.status === 404) && !classifyError(error)
+  );
+}
+
+/**
+ * A GitHub App whose installation tokens are minted locally from its private key
+ */
+class AppCredential {
+  constructor(config, apiUrl) {
+    this.appId = config.app_id;
+    this.privateKeyPath = config.private_key_path;
+    this.privateKeyEnv = config.private_key_env;
+    this.owners = config.owners
+      ? new Set(config.owners.map((owner) => owner.toLowerCase()))
+      : null;
+    this.apiUrl = apiUrl;
+    this.installations = null;
+    this.tokens = new Map();
+  }
+
+  async _getPrivateKey() {
+    if (!this.privateKey) {
+      this.privateKey = this.privateKeyEnv
+        ? process.env[this.privateKeyEnv]
+        : await fs.readFile(this.privateKeyPath, "utf8");
+      if (!this.privateKey) {
+        throw new Error(
+          `No private key for GitHub App ${this.appId} in ${this.privateKeyEnv}`
+        );
+      }
+    }
+    return this.privateKey;
+  }
+
+  async _appClient() {
+    return new Octokit({
+      auth: createAppJwt(this.appId, await this._getPrivateKey()),
+      baseUrl: this.apiUrl,
+    });
+  }
+
+  async _loadInstallations() {
+    try {
+      const client = await this._appClient();
+      const installations = await client.paginate(
+        client.apps.listInstallations,
+        { per_page: 100 }
+      );
+      const byOwner = new Map(
+        installations.map((installation) => [
+          installation.account.login.toLowerCase(),
+          installation.id,
+        ])
+      );
+      console.log(
+        `GitHub App ${this.appId} is installed on: ${
+          [...byOwner.keys()].join(", ") || "no accounts"
+        }`
+      );
+      return byOwner;
+    } catch (error) {
+      console.error(
+        `Could not list installations of GitHub App ${this.appId}, skipping it:`,
+        error.message
+      );
+      return new Map();
+    }
+  }
+
+  /**
+   * Get the installation of the app on an account
+   * Installations are listed once with the app JWT and then remembered.
+   * @param {string} owner - Lowercased account login
+   * @returns {Promise<number|null>} - Installation ID, or null if not installed
+   */
+  async getInstallationId(owner) {
+    if (this.owners && !this.owners.has(owner)) {
+      return null;
+    }
+    if (!this.installations) {
+      this.installations = this._loadInstallations();
+    }
+    return (await this.installations).get(owner) ?? null;
+  }
+
+  /**
+   * Get an installation token, minting a new one shortly before expiry
+   * @param {number} installationId - Installation ID
+   * @returns {Promise<string>} - Installation access token
+   */
+  async getToken(installationId) {
+    const cached = this.tokens.get(installationId);
+    if (cached && cached.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+      return cached.token;
+    }
+    const minted = { expiresAt: Infinity };
+    minted.token = this._appClient()
+      .then((client) =>
+        client.apps.createInstallationAccessToken({
+          installation_id: installationId,
+        })
+      )
+      .then(({ data }) => {
+        minted.expiresAt = new Date(data.expires_at).getTime();
+        return data.token;
+      });
+    this.tokens.set(installationId, minted);
+    minted.token.catch(() => this.tokens.delete(installationId));
+    return minted.token;
+  }
+}
+
+/**
+ * Authenticates requests from a pool of personal access tokens and GitHub App
+ * installations. Requests scoped to an account use the app installed on it
+ * first, then the tokens; tokens are used in order and rotated when their
+ * rate limit budget runs out. A credential that gets a 403 or 404 is skipped
+ * for the next one, and the credential that worked is remembered per account.
+ */
+export class CredentialPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {Array} options.tokens - Array of { id, token } personal access tokens
+   * @param {Array} options.apps - App configs { app_id, private_key_path | private_key_env, owners }
+   * @param {string} options.apiUrl - REST API base URL the apps mint tokens from
+   * @param {Object} options.scheduler - RequestScheduler holding per-credential budgets
+   */
+  constructor({ tokens = [], apps = [], apiUrl, scheduler }) {
+    this.tokens = tokens;
+    this.apps = apps.map((config) => new AppCredential(config, apiUrl));
+    this.scheduler = scheduler;
+    this.ownerCredentials = new Map();
+  }
+
+  /**
+   * Number of credentials configured, not counting per-account installations
+   * @returns {number} - Tokens plus apps
+   */
+  get size() {
+    return this.tokens.length + this.apps.length;
+  }
+
+  async _installationCandidates(owner) {
+    const candidates = [];
+    for (const app of this.apps) {
+      const installationId = await app.getInstallationId(owner);
+      if (installationId !== null) {
+        candidates.push({
+          id: `app:${app.appId}:${installationId}`,
+          getToken: () => app.getToken(installationId),
+        });
+      }
+    }
+    return candidates;
+  }
+
+  _tokenCandidates(bucket) {
+    const candidates = this.tokens.map(({ id, token }) => ({
+      id,
+      getToken: async () => token,
+      budget: this.scheduler.getBudgetState(bucket, id),
+    }));
+    const available = candidates.filter(({ budget }) => budget.available);
+    if (available.length > 0) {
+      return available;
+    }
+    return candidates.sort((a, b) => a.budget.resetAt - b.budget.resetAt);
+  }
+
+  /**
+   * Order the credentials to try for a request
+   * @param {string|null} owner - Account the request is scoped to
+   * @param {string} bucket - Rate limit bucket
+   * @returns {Promise<Array>} - Array of { id, getToken }
+   */
+  async getCandidates(owner, bucket) {
+    const candidates = [
+      ...(owner ? await this._installationCandidates(owner) : []),
+      ...this._tokenCandidates(bucket),
+    ];
+    const remembered = owner && this.ownerCredentials.get(owner);
+    if (remembered) {
+      candidates.sort((a, b) => (b.id === remembered) - (a.id === remembered));
+    }
+    return candidates;
+  }
+
+  /**
+   * Request hook that authenticates the request with the best credential
+   * Runs outside the scheduler, which reads the chosen credential from
+   * options.request.credential to track its budget.
+   * @param {Function} request - Next request function, with an endpoint parser attached
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} - Octokit response
+   */
+  async requestHook(request, options) {
+    if (this.size === 0) {
+      return request(options);
+    }
+    const endpoint = request.endpoint.parse(options);
+    const owner = getRequestOwner(endpoint, options);
+    const candidates = await this.getCandidates(
+      owner,
+      getRequestBucket(options)
+    );
+    if (candidates.length === 0) {
+      return request(options);
+    }
+    let lastError;
+    for (const [index, candidate] of candidates.entries()) {
+      let token;
+      try {
+        token = await candidate.getToken();
+      } catch (error) {
+        console.error(
+          `Could not get a token for ${candidate.id}:`,
+          error.message
+        );
+        lastError = error;
+        continue;
+      }
+      // Octokit binds the same options object to every hook in the chain, so
+      // the credential has to be set in place to reach the request
+      options.headers = { ...options.headers, authorization: `token ${token}` };
+      options.request = { ...options.request, credential: candidate.id };
+      try {
+        const response = await request(options);
+        if (owner) {
+          this.ownerCredentials.set(owner, candidate.id);
+        }
+        return response;
+      } catch (error) {
+        lastError = error;
+        const hasNext = index < candidates.length - 1;
+        const kind = classifyError(error);
+        if (hasNext && kind === "rate_limit") {
+          console.log(
+            `Rate limit exhausted for ${candidate.id}, rotating to ${
+              candidates[index + 1].id
+            }`
+          );
+          continue;
+        }
+        if (hasNext && owner && isAccessError(error)) {
+          continue;
+        }
+        throw error;
+      }
+    }
+    throw lastError;
+  }
+}
@@ -0,0 +1,61 @@
+export const RETRYABLE_ERROR_KINDS = [
+  "rate_limit",
+  "secondary_rate_limit",
+  "server_error",
+  "network",
+];
+
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+/**
+ * Get the response headers attached to a REST or GraphQL error
+ * @param {Error} error - Error thrown by an API call
+ * @returns {Object} - Response headers, or an empty object
+ */
+export function getErrorHeaders(error) {
+  return error.response?.headers || error.headers || {};
+}
+
+/**
+ * Classify an API error to decide whether it is worth retrying
+ * @param {Error} error - Error thrown by a REST or GraphQL call
+ * @returns {string|null} - One of RETRYABLE_ERROR_KINDS, or null if not retryable
+ */
+export function classifyError(error) {
+  const headers = getErrorHeaders(error);
+  const status = error.status || error.response?.status;
+  const message = error.message || "";
+  if (
+    error.errors?.some((graphqlError) => graphqlError.type === "RATE_LIMITED")
+  ) {
+    return "rate_limit";
+  }
+  if (status === 403 || status === 429) {
+    if (headers["retry-after"] || /secondary rate limit|abuse/i.test(message)) {
+      return "secondary_rate_limit";
+    }
+    if (
+      headers["x-ratelimit-remaining"] === "0" ||
+      /rate limit/i.test(message)
+    ) {
+      return "rate_limit";
+    }
+    return status === 429 ? "secondary_rate_limit" : null;
+  }
+  const code = error.code || error.cause?.code;
+  if (NETWORK_ERROR_CODES.has(code)) {
+    return "network";
+  }
+  if (status >= 500 && status < 600) {
+    return "server_error";
+  }
+  return null;
+}
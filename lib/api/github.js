@@ -1,14 +1,216 @@
 import { Octokit } from "@octokit/rest";
 import { graphql } from "@octokit/graphql";
-import { GITHUB_TOKEN } from "../config.js";
+import {
+  GITHUB_TOKEN,
+  GITHUB_TOKENS,
+  GITHUB_API_MODE,
+  GITHUB_API_FIXTURES,
+} from "../config.js";
+import { RequestScheduler } from "./scheduler.js";
+import { HttpCache } from "./http-cache.js";
+import { ApiRecorder } from "./recorder.js";
+import { CredentialPool } from "./credentials.js";
 
-const octokit = new Octokit({ auth: GITHUB_TOKEN });
-const graphqlWithAuth = graphql.defaults({
-  headers: {
-    authorization: `token ${GITHUB_TOKEN}`,
-  },
+export const DEFAULT_SOURCE = "github.com";
+
+const DEFAULT_API_URL = "https://api.github.com";
+
+const httpCache = new HttpCache();
+const recorder = new ApiRecorder({
+  mode: GITHUB_API_MODE,
+  dir: GITHUB_API_FIXTURES,
 });
 
+let sources = {};
+let schedulerOptions = {};
+const clients = new Map();
+let activeSource = DEFAULT_SOURCE;
+
+/**
+ * Work out the GraphQL endpoint for a REST base URL
+ * GitHub Enterprise Server serves REST at /api/v3 and GraphQL at /api/graphql.
+ * @param {string} apiUrl - REST API base URL
+ * @returns {string} - GraphQL endpoint URL
+ */
+function getGraphqlUrl(apiUrl) {
+  return /\/api\/v3\/?$/.test(apiUrl)
+    ? apiUrl.replace(/\/api\/v3\/?$/, "/api/graphql")
+    : `${apiUrl.replace(/\/$/, "")}/graphql`;
+}
+
+/**
+ * Read the personal access tokens configured for a source
+ * token_env names one environment variable or a list of them. The default
+ * source also takes a comma-separated pool from GITHUB_TOKENS.
+ * @param {Object} config - Source config from GITHUB_SOURCES, if any
+ * @returns {Array} - Array of { id, token }; ids name the variable, never the token
+ */
+function resolveTokens(config) {
+  const tokenEnvs = [config?.token_env || "GITHUB_TOKEN"].flat();
+  const tokens = tokenEnvs
+    .map((tokenEnv) => ({
+      id: `token:${tokenEnv}`,
+      token: tokenEnv === "GITHUB_TOKEN" ? GITHUB_TOKEN : process.env[tokenEnv],
+    }))
+    .filter(({ token }) => token);
+  if (tokenEnvs.includes("GITHUB_TOKEN")) {
+    GITHUB_TOKENS.forEach((token, index) => {
+      if (!tokens.some((existing) => existing.token === token)) {
+        tokens.push({ id: `token:GITHUB_TOKENS#${index + 1}`, token });
+      }
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Resolve a source name to its endpoints and credentials
+ * @param {string} name - Key of GITHUB_SOURCES, or DEFAULT_SOURCE
+ * @returns {Object} - { name, apiUrl, graphqlUrl, tokens, apps }
+ */
+function resolveSource(name) {
+  const config = sources[name];
+  if (!config && name !== DEFAULT_SOURCE) {
+    throw new Error(
+      `Unknown GitHub source "${name}". Add it to GITHUB_SOURCES in parameters.json.`
+    );
+  }
+  const apiUrl = config?.api_url || DEFAULT_API_URL;
+  const tokens = resolveTokens(config);
+  const apps = config?.apps || [];
+  if (tokens.length === 0 && apps.length === 0 && recorder.mode !== "replay") {
+    console.warn(
+      `No token in ${[config?.token_env || "GITHUB_TOKEN"].flat().join(", ")} for GitHub source "${name}"; requests will be unauthenticated`
+    );
+  }
+  return {
+    name,
+    apiUrl,
+    graphqlUrl: config?.graphql_url || getGraphqlUrl(apiUrl),
+    tokens,
+    apps,
+  };
+}
+
+/**
+ * Create the REST and GraphQL clients for a source
+ * Each source gets its own scheduler and credential pool, since rate limits
+ * are per host and credential; the response cache and recorder are shared.
+ * Requests pass through the recorder, the credential pool, the cache and the
+ * scheduler, in that order, so cached responses are keyed by the source and
+ * credential that fetched them.
+ * @param {Object} source - Resolved source from resolveSource
+ * @returns {Object} - { octokit, graphqlWithAuth, scheduler, credentials }
+ */
+function createClients(source) {
+  const scheduler = new RequestScheduler(schedulerOptions);
+  const credentials = new CredentialPool({
+    tokens: source.tokens,
+    apps: source.apps,
+    apiUrl: source.apiUrl,
+    scheduler,
+  });
+  const scheduleRequest = (request, options) =>
+    scheduler.requestHook(request, options);
+  const octokit = new Octokit({
+    baseUrl: source.apiUrl,
+    log: {
+      debug: () => {},
+      info: () => {},
+      warn: console.warn.bind(console),
+      // 304s are cache revalidations answered by httpCache, not failures
+      error: (message, ...rest) => {
+        if (!/ - 304 with id /.test(message)) {
+          console.error(message, ...rest);
+        }
+      },
+    },
+  });
+  // The cache and recorder build their keys with the endpoint parser
+  const withEndpoint = (fn) => {
+    fn.endpoint = octokit.request.endpoint;
+    return fn;
+  };
+  octokit.hook.wrap("request", (request, options) => {
+    options.request = { ...options.request, source: source.name };
+    const scheduled = withEndpoint((requestOptions) =>
+      scheduleRequest(request, requestOptions)
+    );
+    const cached = withEndpoint((requestOptions) =>
+      httpCache.requestHook(scheduled, requestOptions)
+    );
+    const authenticated = withEndpoint((requestOptions) =>
+      credentials.requestHook(cached, requestOptions)
+    );
+    return recorder.requestHook(authenticated, options);
+  });
+  const graphqlWithAuth = graphql.defaults({
+    url: source.graphqlUrl,
+    request: {
+      hook: (request, options) => {
+        const scheduled = withEndpoint((requestOptions) =>
+          scheduleRequest(request, requestOptions)
+        );
+        const authenticated = withEndpoint((requestOptions) =>
+          credentials.requestHook(scheduled, requestOptions)
+        );
+        return recorder.requestHook(authenticated, options);
+      },
+    },
+  });
+  return { octokit, graphqlWithAuth, scheduler, credentials };
+}
+
+export let octokit;
+export let graphqlWithAuth;
+export let scheduler;
+
+/**
+ * Switch the shared clients to a GitHub source
+ * octokit, graphqlWithAuth and scheduler are live bindings, so every module
+ * that imported them talks to the selected source from then on.
+ * @param {string} name - Key of GITHUB_SOURCES (default DEFAULT_SOURCE)
+ * @returns {Object} - The source's { octokit, graphqlWithAuth, scheduler }
+ */
+export function useGitHubSource(name = DEFAULT_SOURCE) {
+  if (!clients.has(name)) {
+    clients.set(name, createClients(resolveSource(name)));
+  }
+  const client = clients.get(name);
+  activeSource = name;
+  ({ octokit, graphqlWithAuth, scheduler } = client);
+  return client;
+}
+
+/**
+ * Get the name of the GitHub source the shared clients point at
+ * @returns {string} - Source name
+ */
+export function getGitHubSource() {
+  return activeSource;
+}
+
+/**
+ * Register the GitHub sources from parameters.json
+ * @param {Object} config - GITHUB_SOURCES: map of name to { api_url, graphql_url, token_env, apps }
+ */
+export function configureGitHubSources(config = {}) {
+  sources = config;
+  clients.clear();
+  useGitHubSource(DEFAULT_SOURCE);
+}
+
+/**
+ * Apply scheduler settings to every source, present and future
+ * @param {Object} options - Options for RequestScheduler.configure
+ */
+export function configureScheduler(options = {}) {
+  schedulerOptions = options;
+  clients.forEach((client) => client.scheduler.configure(options));
+}
+
+useGitHubSource(DEFAULT_SOURCE);
+
 /**
  * Test GitHub API connection
  * @param {string} username - GitHub username
@@ -56,8 +258,4 @@ async function testGitHubAPI(username) {
   }
 }
 
-export {
-  octokit,
-  graphqlWithAuth,
-  testGitHubAPI,
-};
+export { httpCache, recorder, testGitHubAPI };
@@ -0,0 +1,241 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { gzipSync, gunzipSync } from "zlib";
+import { OUTPUT_DIR } from "../config.js";
+
+export const DEFAULT_CACHE_DIR = path.join(OUTPUT_DIR, "http-cache");
+
+const IMMUTABLE_URL =
+  /\/repos\/[^/]+\/[^/]+\/(?:git\/)?commits\/[0-9a-f]{40}(?:\?|$)/i;
+
+/**
+ * Check whether a response can be cached forever without revalidation
+ * Commits addressed by their full SHA never change.
+ * @param {string} url - Fully resolved request URL
+ * @returns {boolean} - True for immutable resources
+ */
+export function isImmutableUrl(url) {
+  return IMMUTABLE_URL.test(url);
+}
+
+/**
+ * Drop per-request rate limit headers before a response is stored
+ * @param {Object} headers - Response headers
+ * @returns {Object} - Headers worth replaying from the cache
+ */
+function cacheableHeaders(headers = {}) {
+  return Object.fromEntries(
+    Object.entries(headers).filter(
+      ([name]) => !name.startsWith("x-ratelimit-") && name !== "retry-after"
+    )
+  );
+}
+
+/**
+ * Persistent cache of GitHub REST GET responses
+ * Immutable resources are served straight from disk. Everything else is
+ * revalidated with If-None-Match, and a 304 (which does not count against the
+ * rate limit) is answered from the stored response.
+ */
+export class HttpCache {
+  constructor(options = {}) {
+    this.stats = { hits: 0, revalidated: 0, misses: 0, stored: 0 };
+    this.configure(options);
+  }
+
+  /**
+   * Update cache settings
+   * @param {Object} options - Cache options
+   * @param {boolean} options.enabled - Whether requests use the cache (default true)
+   * @param {string} options.dir - Cache directory (default data/http-cache)
+   */
+  configure(options = {}) {
+    this.enabled = options.enabled ?? this.enabled ?? true;
+    this.dir = options.dir ?? this.dir ?? DEFAULT_CACHE_DIR;
+  }
+
+  /**
+   * Build the cache key for a request
+   * Responses depend on what the credential can see, so entries are never
+   * shared between sources or credentials.
+   * @param {Object} endpoint - Parsed endpoint with method, url and headers
+   * @param {Object} requestOptions - Octokit request options, with the source and credential set by the clients
+   * @returns {string} - Key such as "GET https://api.github.com/... application/vnd.github.v3+json github.com token:GITHUB_TOKEN"
+   */
+  getKey(endpoint, requestOptions = {}) {
+    return [
+      endpoint.method,
+      endpoint.url,
+      endpoint.headers.accept || "",
+      requestOptions.source || "",
+      requestOptions.credential || "anonymous",
+    ].join(" ");
+  }
+
+  _entryPath(key) {
+    const hash = crypto.createHash("sha256").update(key).digest("hex");
+    return path.join(this.dir, hash.slice(0, 2), `${hash}.json.gz`);
+  }
+
+  /**
+   * Read a cached entry
+   * @param {string} key - Key from getKey
+   * @returns {Promise<Object|null>} - Stored entry, or null if absent or unreadable
+   */
+  async get(key) {
+    try {
+      const entry = JSON.parse(
+        gunzipSync(await fs.readFile(this._entryPath(key))).toString("utf8")
+      );
+      return entry.key === key ? entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store an entry, writing to a temporary file and renaming it into place
+   * @param {string} key - Key from getKey
+   * @param {Object} entry - { url, etag, immutable, status, headers, data }
+   */
+  async set(key, entry) {
+    const entryPath = this._entryPath(key);
+    await fs.mkdir(path.dirname(entryPath), { recursive: true });
+    const tempPath = `${entryPath}.${process.pid}.tmp`;
+    await fs.writeFile(
+      tempPath,
+      gzipSync(
+        JSON.stringify({ key, storedAt: new Date().toISOString(), ...entry })
+      )
+    );
+    await fs.rename(tempPath, entryPath);
+    this.stats.stored++;
+  }
+
+  /**
+   * Octokit request hook that answers GET requests from the cache
+   * @param {Function} request - Next request function, with an endpoint parser attached
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} - Octokit response
+   */
+  async requestHook(request, options) {
+    const endpoint = request.endpoint.parse(options);
+    if (!this.enabled || endpoint.method !== "GET") {
+      return request(options);
+    }
+    const key = this.getKey(endpoint, options.request);
+    const cached = await this.get(key);
+    const toResponse = (entry) => ({
+      status: entry.status,
+      url: entry.url,
+      headers: entry.headers,
+      data: entry.data,
+    });
+    if (cached?.immutable) {
+      this.stats.hits++;
+      return toResponse(cached);
+    }
+    if (cached?.etag) {
+      // Octokit binds the same options object to every hook in the chain, so
+      // the validator has to be added in place to reach the request
+      options.headers = { ...options.headers, "if-none-match": cached.etag };
+    }
+    try {
+      const response = await request(options);
+      this.stats.misses++;
+      const immutable = isImmutableUrl(endpoint.url);
+      if (response.status === 200 && (response.headers.etag || immutable)) {
+        await this.set(key, {
+          url: endpoint.url,
+          etag: response.headers.etag || null,
+          immutable,
+          status: response.status,
+          headers: cacheableHeaders(response.headers),
+          data: response.data,
+        });
+      }
+      return response;
+    } catch (error) {
+      if (error.status === 304 && cached) {
+        this.stats.revalidated++;
+        return toResponse(cached);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List cached entries without their response bodies
+   * @returns {Promise<Array>} - Array of { key, url, immutable, storedAt, bytes, file }
+   */
+  async list() {
+    let shards;
+    try {
+      shards = await fs.readdir(this.dir);
+    } catch (error) {
+      return [];
+    }
+    const entries = [];
+    for (const shard of shards) {
+      const shardDir = path.join(this.dir, shard);
+      const files = await fs.readdir(shardDir).catch(() => []);
+      for (const file of files.filter((name) => name.endsWith(".json.gz"))) {
+        const filePath = path.join(shardDir, file);
+        try {
+          const raw = await fs.readFile(filePath);
+          const { key, url, immutable, storedAt } = JSON.parse(
+            gunzipSync(raw).toString("utf8")
+          );
+          entries.push({
+            key,
+            url,
+            immutable,
+            storedAt,
+            bytes: raw.length,
+            file: filePath,
+          });
+        } catch (error) {
+          entries.push({ key: null, url: null, bytes: 0, file: filePath });
+        }
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Delete cached entries
+   * With no criteria every entry is deleted; otherwise an entry is deleted
+   * when it matches all the criteria given. Unreadable entries are always
+   * deleted.
+   * @param {Object} criteria - Purge criteria
+   * @param {boolean} criteria.mutableOnly - Only entries that are revalidated with ETags
+   * @param {number} criteria.olderThanMs - Only entries stored longer ago than this
+   * @param {string} criteria.match - Only entries whose URL contains this text
+   * @returns {Promise<number>} - Number of entries deleted
+   */
+  async purge(criteria = {}) {
+    const { mutableOnly = false, olderThanMs = null, match = null } = criteria;
+    const now = Date.now();
+    const doomed = (await this.list()).filter(
+      (entry) =>
+        entry.key === null ||
+        ((!mutableOnly || !entry.immutable) &&
+          (olderThanMs === null ||
+            now - new Date(entry.storedAt).getTime() > olderThanMs) &&
+          (!match || entry.url.includes(match)))
+    );
+    await Promise.all(
+      doomed.map((entry) => fs.rm(entry.file, { force: true }))
+    );
+    return doomed.length;
+  }
+
+  /**
+   * Hits, revalidations and misses so far, for progress logging
+   * @returns {Object} - { hits, revalidated, misses, stored }
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
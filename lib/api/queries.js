@@ -1,24 +1,44 @@
 import fs from "fs/promises";
 import path from "path";
-import { octokit, graphqlWithAuth } from "./github.js";
+import { octokit, graphqlWithAuth, getGitHubSource } from "./github.js";
 import { getUserDirs } from "../config.js";
-import { saveRepoDiscoveryDiagnostics } from "../utils/diagnostics.js";
+import {
+  splitIntoMonths,
+  splitIntoWeeks,
+  splitRangeInHalf,
+} from "../../core/utils/date.js";
+import {
+  saveRepoDiscoveryDiagnostics,
+  saveRepoExclusionDiagnostics,
+} from "../utils/diagnostics.js";
 import { withRetry } from "./retry.js";
+import {
+  getRepoNameExclusion,
+  getRepoMetadataExclusion,
+} from "../../core/data/repo-rules.js";
+import { resolveIdentities, getSearchQualifier } from "../data/identities.js";
+
+// Scheduler priorities: branch and commit listing unblocks the next page of a
+// fetch, so it goes ahead of discovery, and both go ahead of the bursts of
+// commit detail requests each page produces
+const LISTING_REQUEST = Object.freeze({ priority: "high" });
+const DISCOVERY_REQUEST = Object.freeze({ priority: "normal" });
+const DETAIL_REQUEST = Object.freeze({ priority: "low" });
 
 /**
- * Query GitHub API for total commit count in time period, with recursive binary split on incomplete results
- * @param {string} username - GitHub username
+ * Query GitHub API for the commit count of one search qualifier, with recursive binary split on incomplete results
+ * @param {string} qualifier - Author qualifier from getSearchQualifier
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
- * @returns {Promise<number|null>} - Total commit count or null if error
+ * @returns {Promise<number|null>} - Commit count or null if error
  */
-async function getTotalCommitCount(username, startDate, endDate) {
+async function getSearchCommitCount(qualifier, startDate, endDate) {
   const since = new Date(startDate).toISOString().split("T")[0];
   const until = new Date(endDate).toISOString().split("T")[0];
-  const q = `author:${username} committer-date:${since}..${until}`;
+  const q = `${qualifier} committer-date:${since}..${until}`;
   try {
     const { data } = await withRetry(() =>
-      octokit.search.commits({ q, per_page: 1 })
+      octokit.search.commits({ q, per_page: 1, request: DISCOVERY_REQUEST })
     );
     if (!data.incomplete_results) {
       return data.total_count;
@@ -39,11 +59,11 @@ async function getTotalCommitCount(username, startDate, endDate) {
     const midD = new Date(startD);
     midD.setDate(midD.getDate() + midDays);
     const mid = midD.toISOString().split("T")[0];
-    const leftCount = await getTotalCommitCount(username, since, mid);
+    const leftCount = await getSearchCommitCount(qualifier, since, mid);
     const rightD = new Date(midD);
     rightD.setDate(rightD.getDate() + 1);
     const rightStart = rightD.toISOString().split("T")[0];
-    const rightCount = await getTotalCommitCount(username, rightStart, until);
+    const rightCount = await getSearchCommitCount(qualifier, rightStart, until);
     return (leftCount || 0) + (rightCount || 0);
   } catch (error) {
     console.error("Error getting total commit count:", error.message);
@@ -51,19 +71,183 @@ async function getTotalCommitCount(username, startDate, endDate) {
   }
 }
 
+/**
+ * Query GitHub API for total commit count in time period across a user's identities
+ * Counts are summed per identity, so a commit matching two aliases is counted
+ * twice; the total is an upper bound used to warn about missing commits.
+ * @param {string} username - GitHub username
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {Array} identities - Identities from getAuthorIdentities (default: the username)
+ * @returns {Promise<number|null>} - Total commit count or null if error
+ */
+async function getTotalCommitCount(
+  username,
+  startDate,
+  endDate,
+  identities = null
+) {
+  let total = 0;
+  for (const identity of resolveIdentities(username, identities)) {
+    const count = await getSearchCommitCount(
+      getSearchQualifier(identity),
+      startDate,
+      endDate
+    );
+    if (count === null) return null;
+    total += count;
+  }
+  return total;
+}
+
+const SEARCH_RESULT_LIMIT = 1000;
+
+/**
+ * List the commits matching a search qualifier in a date range
+ * The search API returns at most 1000 results per query, so ranges with more
+ * matches are split in half until each fits.
+ * @param {string} qualifier - Author qualifier from getSearchQualifier
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @returns {Promise<Object>} - { commits: [{ sha, repo, committerDate }], totalCount, incomplete }, incomplete when GitHub could not list every match
+ */
+export async function searchCommitsInRange(qualifier, startDate, endDate) {
+  const q = `${qualifier} committer-date:${startDate}..${endDate}`;
+  const searchPage = (page) =>
+    withRetry(() =>
+      octokit.search.commits({
+        q,
+        per_page: 100,
+        page,
+        sort: "committer-date",
+        order: "asc",
+        request: DISCOVERY_REQUEST,
+      })
+    );
+  const { data: first } = await searchPage(1);
+  if (first.total_count > SEARCH_RESULT_LIMIT && startDate < endDate) {
+    const [leftRange, rightRange] = splitRangeInHalf(startDate, endDate);
+    const left = await searchCommitsInRange(
+      qualifier,
+      leftRange.startDate,
+      leftRange.endDate
+    );
+    const right = await searchCommitsInRange(
+      qualifier,
+      rightRange.startDate,
+      rightRange.endDate
+    );
+    return {
+      commits: [...left.commits, ...right.commits],
+      totalCount: left.totalCount + right.totalCount,
+      incomplete: left.incomplete || right.incomplete,
+    };
+  }
+  const items = [...first.items];
+  let incomplete = first.incomplete_results;
+  const expected = Math.min(first.total_count, SEARCH_RESULT_LIMIT);
+  for (let page = 2; items.length < expected; page++) {
+    const { data } = await searchPage(page);
+    if (data.items.length === 0) break;
+    items.push(...data.items);
+    incomplete = incomplete || data.incomplete_results;
+  }
+  return {
+    commits: items.map((item) => ({
+      sha: item.sha,
+      repo: item.repository.full_name,
+      committerDate: item.commit.committer.date,
+    })),
+    totalCount: first.total_count,
+    incomplete: incomplete || items.length < first.total_count,
+  };
+}
+
+/**
+ * Classify a repository owner as an organization or a personal account
+ * @param {Object} owner - Owner object from the GitHub REST API
+ * @returns {string|null} - "organization", "personal", or null if unknown
+ */
+function getOwnerType(owner) {
+  if (!owner?.type) return null;
+  return owner.type === "Organization" ? "organization" : "personal";
+}
+
+/**
+ * Check whether any identity has a commit in a repository within a date range
+ * The default branch is checked first. With allBranches the other branches are
+ * checked too, so a repository whose only work in the range sits on unmerged
+ * or squash-merged feature branches is still found.
+ * @param {Object} repoInfo - Repository object from the GitHub REST API
+ * @param {Array} identities - Identities from resolveIdentities
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {boolean} allBranches - Whether to check every branch or only the default
+ * @returns {Promise<boolean>} - True if a matching commit was found
+ */
+async function hasCommitsInPeriod(
+  repoInfo,
+  identities,
+  startDate,
+  endDate,
+  allBranches
+) {
+  const owner = repoInfo.owner.login;
+  const repo = repoInfo.name;
+  const hasCommitsOnBranch = async (branch) => {
+    for (const identity of identities) {
+      const { data: commits } = await withRetry(() =>
+        octokit.repos.listCommits({
+          owner,
+          repo,
+          author: identity.value,
+          since: new Date(`${startDate}T00:00:00Z`).toISOString(),
+          until: new Date(`${endDate}T23:59:59Z`).toISOString(),
+          per_page: 1,
+          ...(branch ? { sha: branch } : {}),
+          request: DISCOVERY_REQUEST,
+        })
+      );
+      if (commits && commits.length > 0) {
+        return true;
+      }
+    }
+    return false;
+  };
+  if (await hasCommitsOnBranch(null)) {
+    return true;
+  }
+  if (!allBranches) {
+    return false;
+  }
+  const branches = await getRepositoryBranches(owner, repo);
+  for (const { name } of branches) {
+    if (name !== repoInfo.default_branch && (await hasCommitsOnBranch(name))) {
+      return true;
+    }
+  }
+  return false;
+}
+
 /**
  * Find repositories with commits in a specific time period using a period-specific list file
  * @param {string} username - GitHub username
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  * @param {string} periodName - Name of the period being processed
+ * @param {Array} identities - Identities from getAuthorIdentities (default: the username)
+ * @param {Object} repoRules - Compiled rules from compileRepoRules; excluded repositories are skipped
+ * @param {boolean} allBranches - Look for commits on every branch, not just the default (default true)
  * @returns {Promise<Array>} - Array of repository objects
  */
 async function findReposWithCommitsInPeriod(
   username,
   startDate,
   endDate,
-  periodName = "unnamed"
+  periodName = "unnamed",
+  identities = null,
+  repoRules = null,
+  allBranches = true
 ) {
   console.log(
     `Finding repositories with commits in period ${periodName} (${startDate} to ${endDate})...`
@@ -74,8 +258,10 @@ async function findReposWithCommitsInPeriod(
     period: { startDate, endDate, name: periodName },
     totalRepos: 0,
     reposWithCommits: 0,
+    reposExcluded: 0,
     timestamp: new Date().toISOString(),
   };
+  const excluded = [];
   const { outputDir } = getUserDirs(username);
   const repoListsDir = path.join(outputDir, "repo_lists");
   try {
@@ -97,21 +283,30 @@ async function findReposWithCommitsInPeriod(
     for (const repoFullName of repoNames) {
       try {
         const [owner, repo] = repoFullName.split("/");
+        const nameExclusion =
+          repoRules && getRepoNameExclusion(repoFullName, repoRules);
+        if (nameExclusion) {
+          excluded.push({ repo: repoFullName, ...nameExclusion });
+          continue;
+        }
         try {
           const { data: repoInfo } = await withRetry(() =>
-            octokit.repos.get({ owner, repo })
+            octokit.repos.get({ owner, repo, request: DISCOVERY_REQUEST })
           );
-          const { data: commits } = await withRetry(() =>
-            octokit.repos.listCommits({
-              owner,
-              repo,
-              author: username,
-              since: new Date(`${startDate}T00:00:00Z`).toISOString(),
-              until: new Date(`${endDate}T23:59:59Z`).toISOString(),
-              per_page: 1,
-            })
+          const metadataExclusion =
+            repoRules && getRepoMetadataExclusion(repoInfo, repoRules);
+          if (metadataExclusion) {
+            excluded.push({ repo: repoFullName, ...metadataExclusion });
+            continue;
+          }
+          const hasCommits = await hasCommitsInPeriod(
+            repoInfo,
+            resolveIdentities(username, identities),
+            startDate,
+            endDate,
+            allBranches
           );
-          if (commits && commits.length > 0) {
+          if (hasCommits) {
             reposWithCommits.set(repoFullName, {
               full_name: repoFullName,
               owner: { login: owner },
@@ -120,6 +315,13 @@ async function findReposWithCommitsInPeriod(
               isFork: repoInfo.fork || false,
               parent: repoInfo.parent ? repoInfo.parent.full_name : null,
               created_at: repoInfo.created_at,
+              default_branch: repoInfo.default_branch,
+              language: repoInfo.language || null,
+              topics: repoInfo.topics || [],
+              archived: repoInfo.archived || false,
+              size: repoInfo.size ?? null,
+              license: repoInfo.license?.spdx_id || null,
+              ownerType: getOwnerType(repoInfo.owner),
             });
             diagnostics.reposWithCommits++;
             console.log(`Found commits in ${repoFullName} for this period`);
@@ -165,73 +367,174 @@ async function findReposWithCommitsInPeriod(
     );
     console.error("Format: one repository per line (owner/repo)");
   }
+  if (excluded.length > 0) {
+    console.log(`Excluded ${excluded.length} repositories by REPO_RULES:`);
+    excluded.forEach(({ repo, reason }) => console.log(`- ${repo}: ${reason}`));
+    diagnostics.reposExcluded = excluded.length;
+    await saveRepoExclusionDiagnostics(
+      {
+        username,
+        period: { startDate, endDate, name: periodName },
+        stage: "fetch",
+        excluded,
+      },
+      periodName
+    );
+  }
   if (typeof saveRepoDiscoveryDiagnostics === "function") {
     await saveRepoDiscoveryDiagnostics(diagnostics, periodName);
   }
   return Array.from(reposWithCommits.values());
 }
 
-/**
- * Get user activity repositories via GraphQL
- * @param {string} username - GitHub username
- * @param {string} startDate - Start date in YYYY-MM-DD format
- * @param {string} endDate - End date in YYYY-MM-DD format
- * @returns {Promise<Array>} - Array of repository names
- */
-export async function getUserActivityRepositories(
-  username,
-  startDate,
-  endDate
-) {
-  const activityQuery = `
-    query {
-      user(login: "${username}") {
-        contributionsCollection(from: "${startDate}T00:00:00Z", to: "${endDate}T23:59:59Z") {
-          commitContributionsByRepository(maxRepositories: 100) {
-            repository {
-              nameWithOwner
-            }
+const CONTRIBUTION_TYPES = [
+  "commitContributionsByRepository",
+  "issueContributionsByRepository",
+  "pullRequestContributionsByRepository",
+  "pullRequestReviewContributionsByRepository",
+];
+
+const MAX_CONTRIBUTION_REPOSITORIES = 100;
+
+export const ACTIVITY_CHUNK_SIZES = ["month", "week"];
+
+const ACTIVITY_QUERY = `
+  query ($login: String!, $from: DateTime!, $to: DateTime!) {
+    user(login: $login) {
+      contributionsCollection(from: $from, to: $to) {
+        commitContributionsByRepository(maxRepositories: 100) {
+          repository {
+            nameWithOwner
           }
-          issueContributionsByRepository(maxRepositories: 100) {
-            repository {
-              nameWithOwner
-            }
+        }
+        issueContributionsByRepository(maxRepositories: 100) {
+          repository {
+            nameWithOwner
           }
-          pullRequestContributionsByRepository(maxRepositories: 100) {
-            repository {
-              nameWithOwner
-            }
+        }
+        pullRequestContributionsByRepository(maxRepositories: 100) {
+          repository {
+            nameWithOwner
           }
-          pullRequestReviewContributionsByRepository(maxRepositories: 100) {
-            repository {
-              nameWithOwner
-            }
+        }
+        pullRequestReviewContributionsByRepository(maxRepositories: 100) {
+          repository {
+            nameWithOwner
           }
         }
       }
     }
-  `;
-  const activityResult = await withRetry(() => graphqlWithAuth(activityQuery));
-  const repos = [];
-  if (activityResult?.user?.contributionsCollection) {
-    const contributions = activityResult.user.contributionsCollection;
-    [
-      "commitContributionsByRepository",
-      "issueContributionsByRepository",
-      "pullRequestContributionsByRepository",
-      "pullRequestReviewContributionsByRepository",
-    ].forEach((contributionType) => {
-      if (contributions[contributionType]) {
-        const contributionRepos = contributions[contributionType]
-          .filter((item) => item?.repository?.nameWithOwner)
-          .map((item) => item.repository.nameWithOwner);
-        repos.push(...contributionRepos);
-      }
+  }
+`;
+
+/**
+ * Get the repositories a user contributed to in one window via GraphQL
+ * contributionsCollection returns at most 100 repositories per contribution
+ * type, so a window at the cap may be missing repositories.
+ * @param {string} username - GitHub username
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @returns {Promise<Object>} - { repos, capped } with capped true when any contribution type hit the cap
+ */
+async function getActivityWindow(username, startDate, endDate) {
+  const activityResult = await withRetry(() =>
+    graphqlWithAuth(ACTIVITY_QUERY, {
+      login: username,
+      from: `${startDate}T00:00:00Z`,
+      to: `${endDate}T23:59:59Z`,
+      request: DISCOVERY_REQUEST,
+    })
+  );
+  const repos = new Set();
+  let capped = false;
+  const contributions = activityResult?.user?.contributionsCollection;
+  if (contributions) {
+    CONTRIBUTION_TYPES.forEach((contributionType) => {
+      const items = contributions[contributionType] || [];
+      capped = capped || items.length >= MAX_CONTRIBUTION_REPOSITORIES;
+      items
+        .filter((item) => item?.repository?.nameWithOwner)
+        .forEach((item) => repos.add(item.repository.nameWithOwner));
     });
   }
+  return { repos: [...repos], capped };
+}
+
+/**
+ * Query one activity chunk, halving it while it hits the repository cap
+ * @param {string} username - GitHub username
+ * @param {Object} range - { startDate, endDate } of the chunk
+ * @param {Array} chunks - Chunk reports, appended to
+ * @returns {Promise<Array>} - Repository names found in the chunk, with duplicates
+ */
+async function collectActivityChunk(username, range, chunks) {
+  const { startDate, endDate } = range;
+  const window = await getActivityWindow(username, startDate, endDate);
+  const split = window.capped && startDate < endDate;
+  chunks.push({
+    startDate,
+    endDate,
+    repoCount: window.repos.length,
+    capped: window.capped,
+    split,
+  });
+  if (!split) {
+    if (window.capped) {
+      console.warn(
+        `Activity of ${username} on ${startDate} still hits the ${MAX_CONTRIBUTION_REPOSITORIES}-repository cap; some repositories may be missing`
+      );
+    }
+    return window.repos;
+  }
+  console.log(
+    `Activity of ${username} from ${startDate} to ${endDate} hit the ${MAX_CONTRIBUTION_REPOSITORIES}-repository cap, splitting`
+  );
+  const repos = [...window.repos];
+  for (const half of splitRangeInHalf(startDate, endDate)) {
+    repos.push(...(await collectActivityChunk(username, half, chunks)));
+  }
   return repos;
 }
 
+/**
+ * Get user activity repositories via GraphQL, one chunk of the period at a time
+ * The period is split into months or weeks and the results are unioned, so
+ * the 100-repository cap applies per chunk instead of to the whole period.
+ * Chunks that still hit the cap are split in half down to single days.
+ * @param {string} username - GitHub username
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {string} chunkSize - One of ACTIVITY_CHUNK_SIZES (default "month")
+ * @returns {Promise<Object>} - { repos, chunks, cappedChunks } where cappedChunks could not be split below the cap
+ */
+export async function getChunkedActivityRepositories(
+  username,
+  startDate,
+  endDate,
+  chunkSize = "month"
+) {
+  if (!ACTIVITY_CHUNK_SIZES.includes(chunkSize)) {
+    throw new Error(
+      `Unknown activity chunk size "${chunkSize}" (expected ${ACTIVITY_CHUNK_SIZES.join(", ")})`
+    );
+  }
+  const ranges =
+    chunkSize === "week"
+      ? splitIntoWeeks(startDate, endDate)
+      : splitIntoMonths(startDate, endDate);
+  const chunks = [];
+  const repos = new Set();
+  for (const range of ranges) {
+    const chunkRepos = await collectActivityChunk(username, range, chunks);
+    chunkRepos.forEach((repo) => repos.add(repo));
+  }
+  return {
+    repos: [...repos],
+    chunks,
+    cappedChunks: chunks.filter((chunk) => chunk.capped && !chunk.split),
+  };
+}
+
 /**
  * Get user event repositories for authenticated user
  * @param {string} username - GitHub username
@@ -247,6 +550,7 @@ export async function getUserEventRepositories(username) {
         username,
         per_page: 100,
         page,
+        request: DISCOVERY_REQUEST,
       })
     );
     if (events.length === 0) {
@@ -282,6 +586,7 @@ export async function getUserRepositories(affiliation, maxPages = 5) {
         direction: "desc",
         affiliation,
         visibility: "all",
+        request: DISCOVERY_REQUEST,
       })
     );
     repos.push(...pageRepos);
@@ -308,6 +613,7 @@ export async function getOrganizationRepositories(
       sort: "pushed",
       per_page: 100,
       visibility,
+      request: DISCOVERY_REQUEST,
     })
   );
   return orgRepos;
@@ -319,7 +625,7 @@ export async function getOrganizationRepositories(
  */
 export async function getUserOrganizations() {
   const { data: orgs } = await withRetry(() =>
-    octokit.orgs.listForAuthenticatedUser()
+    octokit.orgs.listForAuthenticatedUser({ request: DISCOVERY_REQUEST })
   );
   return orgs;
 }
@@ -331,7 +637,9 @@ export async function getUserOrganizations() {
  */
 export async function isAuthenticatedUser(username) {
   try {
-    const { data } = await withRetry(() => octokit.users.getAuthenticated());
+    const { data } = await withRetry(() =>
+      octokit.users.getAuthenticated({ request: DISCOVERY_REQUEST })
+    );
     return data.login === username;
   } catch (error) {
     console.error("Error checking authenticated user:", error.message);
@@ -370,6 +678,7 @@ export async function searchRepositoriesInPeriod(
             page,
             sort: "committer-date",
             order: "asc",
+            request: DISCOVERY_REQUEST,
           })
         );
         allItems.push(...res.data.items);
@@ -447,7 +756,7 @@ export async function getRepositoryDetails(repoNames) {
     try {
       const [owner, repo] = repoName.split("/");
       const { data: repoInfo } = await withRetry(() =>
-        octokit.repos.get({ owner, repo })
+        octokit.repos.get({ owner, repo, request: DISCOVERY_REQUEST })
       );
       repoDetails.set(repoName, repoInfo);
     } catch (error) {
@@ -466,7 +775,7 @@ export async function getRepositoryDetails(repoNames) {
  */
 export async function getRepository(owner, repo) {
   const { data: repoInfo } = await withRetry(() =>
-    octokit.repos.get({ owner, repo })
+    octokit.repos.get({ owner, repo, request: DISCOVERY_REQUEST })
   );
   return repoInfo;
 }
@@ -480,6 +789,7 @@ export async function getRepository(owner, repo) {
  * @param {string} until - End date in ISO format
  * @param {number} page - Page number
  * @param {number} perPage - Results per page
+ * @param {string} sha - Branch name or SHA to start listing from (default branch if omitted)
  * @returns {Promise<Array>} - Array of commit objects
  */
 export async function getRepositoryCommits(
@@ -489,7 +799,8 @@ export async function getRepositoryCommits(
   since,
   until,
   page = 1,
-  perPage = 100
+  perPage = 100,
+  sha = undefined
 ) {
   const { data: commits } = await withRetry(() =>
     octokit.repos.listCommits({
@@ -500,11 +811,40 @@ export async function getRepositoryCommits(
       until,
       per_page: perPage,
       page,
+      ...(sha ? { sha } : {}),
+      request: LISTING_REQUEST,
     })
   );
   return commits;
 }
 
+/**
+ * Get all branches of a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<Array>} - Array of branch objects
+ */
+export async function getRepositoryBranches(owner, repo) {
+  const branches = [];
+  let page = 1;
+  let hasMoreBranches = true;
+  while (hasMoreBranches) {
+    const { data: pageBranches } = await withRetry(() =>
+      octokit.repos.listBranches({
+        owner,
+        repo,
+        per_page: 100,
+        page,
+        request: LISTING_REQUEST,
+      })
+    );
+    branches.push(...pageBranches);
+    hasMoreBranches = pageBranches.length === 100;
+    page++;
+  }
+  return branches;
+}
+
 /**
  * Get detailed commit information
  * @param {string} owner - Repository owner
@@ -518,9 +858,165 @@ export async function getCommitDetails(owner, repo, ref) {
       owner,
       repo,
       ref,
+      request: DETAIL_REQUEST,
     })
   );
   return detailedCommit;
 }
 
+const userNodeIds = new Map();
+
+/**
+ * Get the GraphQL node ID of a user, used to filter commit history by author
+ * @param {string} username - GitHub username
+ * @returns {Promise<string>} - User node ID
+ */
+export async function getUserNodeId(username) {
+  const key = `${getGitHubSource()}:${username}`;
+  if (!userNodeIds.has(key)) {
+    const result = await withRetry(() =>
+      graphqlWithAuth(
+        `query ($login: String!) {
+          user(login: $login) {
+            id
+          }
+        }`,
+        { login: username, request: LISTING_REQUEST }
+      )
+    );
+    userNodeIds.set(key, result.user.id);
+  }
+  return userNodeIds.get(key);
+}
+
+const COMMIT_HISTORY_QUERY = `
+  query (
+    $owner: String!
+    $name: String!
+    $qualifiedName: String!
+    $useDefaultBranch: Boolean!
+    $author: CommitAuthor!
+    $since: GitTimestamp!
+    $until: GitTimestamp!
+    $after: String
+  ) {
+    repository(owner: $owner, name: $name) {
+      ref(qualifiedName: $qualifiedName) @skip(if: $useDefaultBranch) {
+        ...historyFields
+      }
+      defaultBranchRef @include(if: $useDefaultBranch) {
+        ...historyFields
+      }
+    }
+  }
+  fragment historyFields on Ref {
+    target {
+      ... on Commit {
+        history(
+          first: 100
+          after: $after
+          author: $author
+          since: $since
+          until: $until
+        ) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            oid
+            message
+            additions
+            deletions
+            changedFilesIfAvailable
+            author {
+              name
+              email
+              date
+            }
+            committer {
+              name
+              email
+              date
+            }
+            parents(first: 10) {
+              nodes {
+                oid
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Convert a GraphQL history node to the REST commit detail shape
+ * @param {Object} node - Commit node from COMMIT_HISTORY_QUERY
+ * @returns {Object} - Detailed commit compatible with toCommitObject
+ */
+function historyNodeToDetailedCommit(node) {
+  return {
+    sha: node.oid,
+    commit: {
+      author: node.author,
+      committer: node.committer,
+      message: node.message,
+    },
+    parents: node.parents.nodes.map(({ oid }) => ({ sha: oid })),
+    stats: { additions: node.additions, deletions: node.deletions },
+    changedFiles: node.changedFilesIfAvailable,
+  };
+}
+
+/**
+ * Get a page of a branch's commit history by an author, with stats, via GraphQL
+ * One request returns up to 100 commits with additions and deletions, so no
+ * per-commit detail call is needed. Per-file changes are not available.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} author - Author filter, { id } from getUserNodeId or { emails }
+ * @param {string} since - Start date in ISO format
+ * @param {string} until - End date in ISO format
+ * @param {string|null} branch - Branch name, or null for the default branch
+ * @param {string|null} after - Cursor from a previous page
+ * @returns {Promise<Object>} - { commits, hasNextPage, endCursor } with commits in REST detail shape
+ */
+export async function getRepositoryCommitHistory(
+  owner,
+  repo,
+  author,
+  since,
+  until,
+  branch = null,
+  after = null
+) {
+  const result = await withRetry(() =>
+    graphqlWithAuth(COMMIT_HISTORY_QUERY, {
+      owner,
+      name: repo,
+      qualifiedName: branch ? `refs/heads/${branch}` : "",
+      useDefaultBranch: !branch,
+      author,
+      since,
+      until,
+      after,
+      request: LISTING_REQUEST,
+    })
+  );
+  const ref = branch
+    ? result.repository?.ref
+    : result.repository?.defaultBranchRef;
+  const history = ref?.target?.history;
+  if (!history) {
+    return { commits: [], hasNextPage: false, endCursor: null };
+  }
+  return {
+    commits: history.nodes.map(historyNodeToDetailedCommit),
+    hasNextPage: history.pageInfo.hasNextPage,
+    endCursor: history.pageInfo.endCursor,
+  };
+}
+
 export { findReposWithCommitsInPeriod, getTotalCommitCount };
@@ -0,0 +1,181 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+export const RECORDER_MODES = ["off", "record", "replay"];
+
+/**
+ * Build the key identifying a request in the fixtures
+ * @param {Object} endpoint - Parsed endpoint with method, url and body
+ * @returns {string} - e.g. "GET https://api.github.com/user" or "POST https://api.github.com/graphql {...}"
+ */
+function getExchangeKey(endpoint) {
+  const body =
+    endpoint.body === undefined
+      ? ""
+      : ` ${
+          typeof endpoint.body === "string"
+            ? endpoint.body
+            : JSON.stringify(endpoint.body)
+        }`;
+  return `${endpoint.method} ${endpoint.url}${body}`;
+}
+
+/**
+ * Reduce a response or error to what replay needs
+ * @param {Object} response - Octokit response, or null for errors
+ * @param {Error} error - Octokit request error, or null for responses
+ * @returns {Object} - { status, headers, data } or { error: { status, message, headers, data } }
+ */
+function toRecording(response, error) {
+  if (error) {
+    return {
+      error: {
+        status: error.status ?? null,
+        message: error.message,
+        headers: error.response?.headers || {},
+        data: error.response?.data ?? null,
+      },
+    };
+  }
+  return {
+    status: response.status,
+    headers: response.headers,
+    data: response.data,
+  };
+}
+
+/**
+ * Records GitHub REST and GraphQL exchanges to fixture files and replays them
+ * One fixture file per distinct request holds its responses in call order.
+ * Replay serves them in the same order and repeats the last one, so a session
+ * replays deterministically without a token or network.
+ */
+export class ApiRecorder {
+  constructor(options = {}) {
+    this.recordings = new Map();
+    this.replayCounts = new Map();
+    this.writes = new Map();
+    this.configure(options);
+  }
+
+  /**
+   * Update recorder settings
+   * @param {Object} options - Recorder options
+   * @param {string} options.mode - One of RECORDER_MODES (default "off")
+   * @param {string} options.dir - Fixture directory
+   */
+  configure(options = {}) {
+    const mode = options.mode || this.mode || "off";
+    if (!RECORDER_MODES.includes(mode)) {
+      throw new Error(
+        `Unknown API recorder mode "${mode}" (expected ${RECORDER_MODES.join(", ")})`
+      );
+    }
+    this.mode = mode;
+    this.dir = options.dir ?? this.dir;
+    if (this.mode !== "off") {
+      console.log(
+        `${this.mode === "record" ? "Recording" : "Replaying"} GitHub API traffic ${
+          this.mode === "record" ? "to" : "from"
+        } ${this.dir}`
+      );
+    }
+  }
+
+  _fixturePath(key) {
+    const hash = crypto.createHash("sha256").update(key).digest("hex");
+    return path.join(this.dir, `${hash.slice(0, 16)}.json`);
+  }
+
+  async _load(key) {
+    if (!this.recordings.has(key)) {
+      try {
+        const fixture = JSON.parse(
+          await fs.readFile(this._fixturePath(key), "utf8")
+        );
+        this.recordings.set(key, fixture.key === key ? fixture : null);
+      } catch (error) {
+        this.recordings.set(key, null);
+      }
+    }
+    return this.recordings.get(key);
+  }
+
+  async _record(key, endpoint, recording) {
+    const fixture = this.recordings.get(key) || {
+      key,
+      request: { method: endpoint.method, url: endpoint.url },
+      responses: [],
+    };
+    fixture.responses.push(recording);
+    this.recordings.set(key, fixture);
+    const write = (this.writes.get(key) || Promise.resolve()).then(async () => {
+      await fs.mkdir(this.dir, { recursive: true });
+      const fixturePath = this._fixturePath(key);
+      await fs.writeFile(
+        `${fixturePath}.tmp`,
+        JSON.stringify(fixture, null, 2)
+      );
+      await fs.rename(`${fixturePath}.tmp`, fixturePath);
+    });
+    this.writes.set(key, write);
+    await write;
+  }
+
+  async _replay(key, endpoint) {
+    const fixture = await this._load(key);
+    if (!fixture || fixture.responses.length === 0) {
+      const error = new Error(
+        `No recorded response for ${endpoint.method} ${endpoint.url} in ${this.dir}`
+      );
+      error.code = "ERR_NO_FIXTURE";
+      throw error;
+    }
+    const count = this.replayCounts.get(key) || 0;
+    this.replayCounts.set(key, count + 1);
+    const recording =
+      fixture.responses[Math.min(count, fixture.responses.length - 1)];
+    if (recording.error) {
+      const error = new Error(recording.error.message);
+      error.status = recording.error.status;
+      error.response = {
+        status: recording.error.status,
+        url: endpoint.url,
+        headers: recording.error.headers,
+        data: recording.error.data,
+      };
+      throw error;
+    }
+    return { url: endpoint.url, ...recording };
+  }
+
+  /**
+   * Request hook that records or replays the exchange
+   * Sits outside the cache and scheduler, so replay never touches the network.
+   * @param {Function} request - Next request function, with an endpoint parser attached
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} - Octokit response
+   */
+  async requestHook(request, options) {
+    if (this.mode === "off") {
+      return request(options);
+    }
+    const endpoint = request.endpoint.parse(options);
+    const key = getExchangeKey(endpoint);
+    if (this.mode === "replay") {
+      return this._replay(key, endpoint);
+    }
+    let response;
+    try {
+      response = await request(options);
+    } catch (error) {
+      if (error.status) {
+        await this._record(key, endpoint, toRecording(null, error));
+      }
+      throw error;
+    }
+    await this._record(key, endpoint, toRecording(response, null));
+    return response;
+  }
+}
@@ -1,4 +1,10 @@
 import { octokit } from "../api/github.js";
+import { recordRetryEvent } from "../utils/diagnostics.js";
+import {
+  RETRYABLE_ERROR_KINDS,
+  classifyError,
+  getErrorHeaders,
+} from "./errors.js";
 
 /**
  * Check remaining rate limit and pause if necessary
@@ -32,52 +38,135 @@ export async function checkRateLimit() {
   }
 }
 
+const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxRetries: 5,
+  baseDelay: 5000,
+  maxDelay: 120000,
+  jitter: 0.2,
+  retryOn: RETRYABLE_ERROR_KINDS,
+});
+
+let retryPolicy = DEFAULT_RETRY_POLICY;
+
+/**
+ * Set the retry policy used by withRetry when a call does not pass its own
+ * @param {Object} config - Retry settings from parameters.json FETCH_OPTIONS.retry
+ * @param {number} config.max_retries - Retries before giving up (default 5)
+ * @param {number} config.base_delay_ms - First backoff delay, doubled per attempt (default 5000)
+ * @param {number} config.max_delay_ms - Cap on backoff delays (default 120000)
+ * @param {number} config.jitter - Random extra delay as a fraction of the delay (default 0.2)
+ * @param {Array} config.retry_on - Error kinds to retry (default RETRYABLE_ERROR_KINDS)
+ */
+export function configureRetryPolicy(config = {}) {
+  retryPolicy = Object.freeze({
+    maxRetries: config.max_retries ?? DEFAULT_RETRY_POLICY.maxRetries,
+    baseDelay: config.base_delay_ms ?? DEFAULT_RETRY_POLICY.baseDelay,
+    maxDelay: config.max_delay_ms ?? DEFAULT_RETRY_POLICY.maxDelay,
+    jitter: config.jitter ?? DEFAULT_RETRY_POLICY.jitter,
+    retryOn: config.retry_on ?? DEFAULT_RETRY_POLICY.retryOn,
+  });
+}
+
+/**
+ * Work out how long to wait before the next attempt
+ * retry-after wins, then the primary rate limit reset time, then exponential
+ * backoff. Jitter spreads out retries from requests that failed together.
+ * @param {Error} error - Error from the failed attempt
+ * @param {string} kind - Kind from classifyError
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} policy - Retry policy
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(error, kind, attempt, policy) {
+  const headers = getErrorHeaders(error);
+  const retryAfter = parseInt(headers["retry-after"], 10);
+  const reset = parseInt(headers["x-ratelimit-reset"], 10);
+  let delay = Math.min(
+    policy.baseDelay * Math.pow(2, attempt - 1),
+    policy.maxDelay
+  );
+  if (!Number.isNaN(retryAfter)) {
+    delay = retryAfter * 1000;
+  } else if (kind === "rate_limit" && !Number.isNaN(reset)) {
+    delay = Math.max(reset * 1000 - Date.now(), delay);
+  }
+  return Math.round(delay * (1 + Math.random() * policy.jitter));
+}
+
+/**
+ * Describe the request behind an error for logs and diagnostics
+ * @param {Error} error - Error thrown by an API call
+ * @returns {string|null} - e.g. "GET /repos/owner/name/commits", or null
+ */
+function describeRequest(error) {
+  const request = error.request;
+  if (!request) {
+    return null;
+  }
+  return `${request.method || "POST"} ${request.url || "/graphql"}`;
+}
+
 /**
- * Utility function to retry API calls with exponential backoff
+ * Retry an API call according to a retry policy
+ * Rate limits, secondary rate limits, 5xx responses and network failures are
+ * retried; anything else is thrown at once. Every retry and every give-up is
+ * recorded in the diagnostics.
  * @param {Function} fn - The API call function to retry
- * @param {number} maxRetries - Maximum number of retries
- * @param {number} baseDelay - Base delay in milliseconds
+ * @param {Object} policy - Overrides for the configured retry policy
+ * @param {number} policy.maxRetries - Maximum number of retries
+ * @param {number} policy.baseDelay - Base delay in milliseconds
+ * @param {number} policy.maxDelay - Maximum backoff delay in milliseconds
+ * @param {number} policy.jitter - Random extra delay as a fraction of the delay
+ * @param {Array} policy.retryOn - Error kinds to retry
  * @returns {Promise} - Result of the API call
  */
-export async function withRetry(fn, maxRetries = 5, baseDelay = 5000) {
-  let lastError;
-  try {
-    return await fn();
-  } catch (error) {
-    lastError = error;
-    if (error.status === 403 && error.message.includes("rate limit exceeded")) {
-      for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        let delay = baseDelay * Math.pow(2, attempt - 1);
-        if (error.response?.headers?.["x-ratelimit-reset"]) {
-          const resetTime =
-            parseInt(error.response.headers["x-ratelimit-reset"]) * 1000;
-          const now = Date.now();
-          delay = Math.max(resetTime - now, delay);
-        }
-        console.log(
-          `Rate limit hit, retrying (${attempt}/${maxRetries}) after ${delay}ms...`
+export async function withRetry(fn, policy = {}) {
+  const { maxRetries, baseDelay, maxDelay, jitter, retryOn } = {
+    ...retryPolicy,
+    ...policy,
+  };
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const kind = classifyError(error);
+      if (!kind || !retryOn.includes(kind)) {
+        throw error;
+      }
+      const event = {
+        kind,
+        status: error.status || error.response?.status || null,
+        code: error.code || error.cause?.code || null,
+        request: describeRequest(error),
+        message: error.message,
+      };
+      if (attempt > maxRetries) {
+        console.error(
+          `Giving up after ${maxRetries} retries (${kind}):`,
+          error.message
         );
-        await new Promise((resolve) => setTimeout(resolve, delay));
-        try {
-          return await fn();
-        } catch (retryError) {
-          lastError = retryError;
-          if (
-            !(
-              retryError.status === 403 &&
-              retryError.message.includes("rate limit exceeded")
-            )
-          ) {
-            throw retryError;
-          }
-        }
+        await recordRetryEvent({
+          event: "give_up",
+          attempts: attempt,
+          ...event,
+        });
+        throw error;
       }
-      console.error(
-        `Failed to recover from rate limit after ${maxRetries} attempts:`,
-        lastError.message
+      const delay = getRetryDelay(error, kind, attempt, {
+        baseDelay,
+        maxDelay,
+        jitter,
+      });
+      console.log(
+        `${kind.replace(/_/g, " ")} error, retrying (${attempt}/${maxRetries}) after ${delay}ms...`
       );
-      throw lastError;
+      await recordRetryEvent({
+        event: "retry",
+        attempt,
+        delayMs: delay,
+        ...event,
+      });
+      await new Promise((resolve) => setTimeout(resolve, delay));
     }
-    throw error;
   }
 }
@@ -0,0 +1,280 @@
+export const PRIORITIES = Object.freeze(["high", "normal", "low"]);
+
+const DEFAULT_OPTIONS = Object.freeze({
+  concurrency: 6,
+  bucketConcurrency: { core: 6, search: 1, graphql: 2 },
+  reserve: { core: 50, search: 2, graphql: 50 },
+});
+
+/**
+ * Work out which rate limit budget a request draws on
+ * @param {Object} options - Octokit request options
+ * @returns {string} - "core", "search" or "graphql"
+ */
+export function getRequestBucket(options) {
+  const url = options.url || "";
+  if (url.startsWith("/search/")) {
+    return "search";
+  }
+  if (url === "/graphql" || /\/graphql$/.test(url)) {
+    return "graphql";
+  }
+  return "core";
+}
+
+/**
+ * Get the key a rate limit budget is tracked under
+ * Each credential has its own budgets, so a pool of tokens is tracked per token.
+ * @param {string} resource - Rate limit resource, e.g. "core" or "search"
+ * @param {string|null} credential - Credential id from the credential pool
+ * @returns {string} - Budget key
+ */
+function getBudgetKey(resource, credential) {
+  return credential ? `${credential}/${resource}` : resource;
+}
+
+/**
+ * Read the seconds to wait from a secondary rate limit response
+ * @param {Object} headers - Response headers
+ * @returns {number|null} - Seconds from retry-after, or null if absent
+ */
+function getRetryAfterSeconds(headers = {}) {
+  const retryAfter = parseInt(headers["retry-after"], 10);
+  return Number.isNaN(retryAfter) ? null : retryAfter;
+}
+
+/**
+ * Schedules GitHub API requests with bounded concurrency, priority queues and
+ * per-bucket rate limit budgets read from the x-ratelimit-* headers.
+ */
+export class RequestScheduler {
+  constructor(options = {}) {
+    this.queues = Object.fromEntries(PRIORITIES.map((p) => [p, []]));
+    this.active = 0;
+    this.activeByBucket = { core: 0, search: 0, graphql: 0 };
+    this.budgets = {};
+    this.pausedUntil = { core: 0, search: 0, graphql: 0 };
+    this.wakeTimer = null;
+    this.wakeAt = Infinity;
+    this.configure(options);
+  }
+
+  /**
+   * Update concurrency and reserve settings
+   * @param {Object} options - Scheduler options
+   * @param {number} options.concurrency - Maximum requests in flight overall
+   * @param {Object} options.bucketConcurrency - Maximum in flight per bucket
+   * @param {Object} options.reserve - Requests left in a budget before waiting for reset
+   */
+  configure(options = {}) {
+    this.options = {
+      concurrency: options.concurrency ?? DEFAULT_OPTIONS.concurrency,
+      bucketConcurrency: {
+        ...DEFAULT_OPTIONS.bucketConcurrency,
+        ...(options.concurrency ? { core: options.concurrency } : {}),
+        ...options.bucketConcurrency,
+      },
+      reserve: { ...DEFAULT_OPTIONS.reserve, ...options.reserve },
+    };
+    this._pump();
+  }
+
+  /**
+   * Queue a request
+   * @param {string} bucket - Rate limit bucket from getRequestBucket
+   * @param {Function} fn - Function performing the request
+   * @param {string} priority - One of PRIORITIES (default "normal")
+   * @param {string|null} credential - Credential whose budget the request draws on
+   * @returns {Promise} - Result of fn
+   */
+  schedule(bucket, fn, priority = "normal", credential = null) {
+    return new Promise((resolve, reject) => {
+      const queue = this.queues[priority] || this.queues.normal;
+      const budgetKey = getBudgetKey(bucket, credential);
+      queue.push({ bucket, budgetKey, fn, resolve, reject });
+      this._pump();
+    });
+  }
+
+  /**
+   * Octokit request hook that routes every request through the scheduler
+   * A request can set options.request.priority to jump or yield the queue, and
+   * options.request.credential to draw on that credential's budget.
+   * @param {Function} request - Octokit request function
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} - Octokit response
+   */
+  requestHook(request, options) {
+    const bucket = getRequestBucket(options);
+    const priority = options.request?.priority || "normal";
+    const credential = options.request?.credential || null;
+    return this.schedule(
+      bucket,
+      async () => {
+        try {
+          const response = await request(options);
+          this.recordHeaders(bucket, response.headers, credential);
+          return response;
+        } catch (error) {
+          this.recordHeaders(bucket, error.response?.headers, credential);
+          throw error;
+        }
+      },
+      priority,
+      credential
+    );
+  }
+
+  /**
+   * Update a budget from rate limit response headers
+   * @param {string} bucket - Bucket the request was scheduled on
+   * @param {Object} headers - Response headers
+   * @param {string|null} credential - Credential the request was made with
+   */
+  recordHeaders(bucket, headers, credential = null) {
+    if (!headers) {
+      return;
+    }
+    const resource = headers["x-ratelimit-resource"] || bucket;
+    const remaining = parseInt(headers["x-ratelimit-remaining"], 10);
+    const reset = parseInt(headers["x-ratelimit-reset"], 10);
+    if (!Number.isNaN(remaining) && !Number.isNaN(reset)) {
+      this.budgets[getBudgetKey(resource, credential)] = {
+        limit: parseInt(headers["x-ratelimit-limit"], 10) || null,
+        remaining,
+        resetAt: reset * 1000,
+      };
+    }
+    const retryAfter = getRetryAfterSeconds(headers);
+    if (retryAfter !== null) {
+      this.pause(bucket, retryAfter * 1000);
+    }
+  }
+
+  /**
+   * Hold back a bucket, e.g. after a secondary rate limit
+   * @param {string} bucket - Bucket to pause
+   * @param {number} ms - Milliseconds to wait
+   */
+  pause(bucket, ms) {
+    const until = Date.now() + ms;
+    if (until > this.pausedUntil[bucket]) {
+      console.log(
+        `Pausing ${bucket} requests for ${Math.ceil(ms / 1000)}s (rate limit)`
+      );
+      this.pausedUntil[bucket] = until;
+    }
+  }
+
+  /**
+   * Current budget and queue state, for progress logging and diagnostics
+   * @returns {Object} - { active, queued, budgets }
+   */
+  getStatus() {
+    return {
+      active: this.active,
+      queued: PRIORITIES.reduce((sum, p) => sum + this.queues[p].length, 0),
+      budgets: { ...this.budgets },
+    };
+  }
+
+  /**
+   * Check whether a credential still has budget left above the reserve
+   * @param {string} bucket - Bucket from getRequestBucket
+   * @param {string|null} credential - Credential id
+   * @returns {Object} - { available, resetAt } with resetAt null if unknown
+   */
+  getBudgetState(bucket, credential = null) {
+    const budget = this.budgets[getBudgetKey(bucket, credential)];
+    const resetAt = this._budgetResetAt(bucket, budget, Date.now());
+    return { available: resetAt === 0, resetAt: budget?.resetAt ?? null };
+  }
+
+  _budgetResetAt(bucket, budget, now) {
+    const exhausted =
+      budget &&
+      budget.remaining <= this.options.reserve[bucket] &&
+      budget.resetAt > now;
+    return exhausted ? budget.resetAt : 0;
+  }
+
+  _waitUntil(task, now) {
+    return Math.max(
+      this.pausedUntil[task.bucket],
+      this._budgetResetAt(task.bucket, this.budgets[task.budgetKey], now)
+    );
+  }
+
+  _canStart(task, now) {
+    return (
+      this.activeByBucket[task.bucket] <
+        this.options.bucketConcurrency[task.bucket] &&
+      this._waitUntil(task, now) <= now
+    );
+  }
+
+  _pump() {
+    const now = Date.now();
+    let nextWake = Infinity;
+    for (const priority of PRIORITIES) {
+      const queue = this.queues[priority];
+      for (let i = 0; i < queue.length;) {
+        if (this.active >= this.options.concurrency) {
+          return;
+        }
+        const task = queue[i];
+        if (!this._canStart(task, now)) {
+          const waitUntil = this._waitUntil(task, now);
+          if (waitUntil > now) {
+            nextWake = Math.min(nextWake, waitUntil);
+          }
+          i++;
+          continue;
+        }
+        queue.splice(i, 1);
+        this._run(task);
+      }
+    }
+    this._scheduleWake(nextWake, now);
+  }
+
+  /**
+   * Arm the wake timer, replacing a pending one that would fire later
+   * A pause or budget seen after the timer was armed can end sooner than the
+   * wait it was armed for, e.g. a short retry-after on another bucket.
+   * @param {number} wakeAt - Earliest time a waiting task can start, or Infinity
+   * @param {number} now - Current time in milliseconds
+   */
+  _scheduleWake(wakeAt, now) {
+    if (wakeAt === Infinity || (this.wakeTimer && wakeAt >= this.wakeAt)) {
+      return;
+    }
+    clearTimeout(this.wakeTimer);
+    this.wakeAt = wakeAt;
+    this.wakeTimer = setTimeout(
+      () => {
+        this.wakeTimer = null;
+        this.wakeAt = Infinity;
+        this._pump();
+      },
+      wakeAt - now + 1000
+    );
+  }
+
+  _run(task) {
+    const { bucket, budgetKey } = task;
+    this.active++;
+    this.activeByBucket[bucket]++;
+    if (this.budgets[budgetKey]) {
+      this.budgets[budgetKey].remaining--;
+    }
+    Promise.resolve()
+      .then(task.fn)
+      .then(task.resolve, task.reject)
+      .finally(() => {
+        this.active--;
+        this.activeByBucket[bucket]--;
+        this._pump();
+      });
+  }
+}
@@ -0,0 +1,21 @@
+import { DEFAULT_PARAMETERS_FILE } from "./config.js";
+import { loadParameters, saveParameters } from "./parameters.js";
+
+async function main() {
+  const args = process.argv.slice(2);
+  const parameterFile =
+    args.find((arg) => !arg.startsWith("--")) || DEFAULT_PARAMETERS_FILE;
+  console.log(`Checking parameters in: ${parameterFile}`);
+  const params = await loadParameters(parameterFile, { applyDefaults: false });
+  console.log(
+    `✓ Valid: ${params.GITHUB_USERNAMES.length} users, ${params.PERIODS.length} periods (version ${params.VERSION})`
+  );
+  if (args.includes("--write")) {
+    await saveParameters(parameterFile, params);
+    console.log(
+      `Wrote migrated parameters to ${parameterFile} (comments are not kept)`
+    );
+  }
+}
+
+main().catch(console.error);
@@ -4,12 +4,19 @@ import dotenv from "dotenv";
 dotenv.config();
 
 export const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+export const GITHUB_TOKENS = (process.env.GITHUB_TOKENS || "")
+  .split(",")
+  .map((token) => token.trim())
+  .filter(Boolean);
 export const DEFAULT_PARAMETERS_FILE = path.join(
   process.cwd(),
   "data",
   "parameters.json"
 );
 export const OUTPUT_DIR = path.join(process.cwd(), "data");
+export const GITHUB_API_MODE = process.env.GITHUB_API_MODE || "off";
+export const GITHUB_API_FIXTURES =
+  process.env.GITHUB_API_FIXTURES || path.join(OUTPUT_DIR, "api-fixtures");
 
 export function getUserDirs(username) {
   return {
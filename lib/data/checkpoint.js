@@ -0,0 +1,177 @@
+import fs from "fs/promises";
+import path from "path";
+import { getUserDirs } from "../config.js";
+import {
+  commitArrayFormat,
+  arrayFormatToCommits,
+} from "../../core/data/transforms.js";
+
+const CHECKPOINT_VERSION = 2;
+
+/**
+ * Get the checkpoint file path for a fetch
+ * Checkpoints are keyed by period and date range, so a delta fetch of part of
+ * a period never resumes from a full fetch of it or vice versa.
+ * @param {string} username - GitHub username
+ * @param {string} periodName - Name of the period being fetched
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @returns {string} - Path to the checkpoint cursor JSON file
+ */
+export function getCheckpointPath(username, periodName, startDate, endDate) {
+  const { outputDir } = getUserDirs(username);
+  const safePeriodName = periodName.replace(/[^a-zA-Z0-9-]+/g, "_");
+  return path.join(
+    outputDir,
+    "checkpoints",
+    `${safePeriodName}_${startDate}_${endDate}.json`
+  );
+}
+
+/**
+ * Get the path of the commit log kept beside a checkpoint
+ * @param {string} checkpointPath - Path from getCheckpointPath
+ * @returns {string} - Path to the append-only JSONL commit log
+ */
+function getCommitLogPath(checkpointPath) {
+  return checkpointPath.replace(/\.json$/, ".commits.jsonl");
+}
+
+/**
+ * Write a file through a temporary path and rename it into place
+ * @param {string} filePath - Destination path
+ * @param {string} content - File content
+ */
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, content);
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Replay commit log entries, keeping the latest version of each commit
+ * Commits keep the position of their first entry, matching the order they
+ * were gathered in.
+ * @param {Array} entries - Parsed log entries of { sha, commit, aliases }
+ * @returns {Object} - { rows, aliases } maps keyed by sha
+ */
+function replayCommitLog(entries) {
+  return entries.reduce(
+    (log, { sha, commit, aliases }) => {
+      if (commit) log.rows.set(sha, commit);
+      log.aliases.set(sha, aliases);
+      return log;
+    },
+    { rows: new Map(), aliases: new Map() }
+  );
+}
+
+/**
+ * Load a fetch checkpoint if one exists
+ * The commit log is cut back to the size recorded by the last cursor write,
+ * dropping a page appended by a run that stopped before finishing it, and is
+ * then compacted to one line per commit.
+ * @param {string} checkpointPath - Path from getCheckpointPath
+ * @returns {Promise<Object|null>} - Checkpoint state with commits and aliasMatches restored, or null
+ */
+export async function loadCheckpoint(checkpointPath) {
+  let checkpoint;
+  let logContent;
+  try {
+    checkpoint = JSON.parse(await fs.readFile(checkpointPath, "utf8"));
+  } catch (error) {
+    return null;
+  }
+  if (checkpoint.version !== CHECKPOINT_VERSION) {
+    console.log(
+      `Ignoring checkpoint ${checkpointPath} (version ${checkpoint.version})`
+    );
+    return null;
+  }
+  try {
+    logContent = await fs.readFile(getCommitLogPath(checkpointPath));
+  } catch (error) {
+    logContent = Buffer.alloc(0);
+  }
+  const { rows, aliases } = replayCommitLog(
+    logContent
+      .subarray(0, checkpoint.logSize)
+      .toString("utf8")
+      .split("\n")
+      .filter((line) => line)
+      .map((line) => JSON.parse(line))
+  );
+  const compacted = [...aliases.keys()]
+    .map((sha) =>
+      JSON.stringify({
+        sha,
+        commit: rows.get(sha) || null,
+        aliases: aliases.get(sha),
+      })
+    )
+    .join("\n");
+  const compactedLog = compacted ? `${compacted}\n` : "";
+  await writeFileAtomic(getCommitLogPath(checkpointPath), compactedLog);
+  const { logSize, schema, ...state } = checkpoint;
+  await writeFileAtomic(
+    checkpointPath,
+    JSON.stringify({ ...checkpoint, logSize: Buffer.byteLength(compactedLog) })
+  );
+  return {
+    ...state,
+    commits: arrayFormatToCommits({ schema, data: [...rows.values()] }),
+    aliasMatches: Object.fromEntries(aliases),
+  };
+}
+
+/**
+ * Save fetch progress to a checkpoint
+ * Commits changed since the last save are appended to the commit log, then
+ * the small cursor file is replaced with the new position and the log size it
+ * covers, so each page costs only what it changed. The cursor file is written
+ * to a temporary path and renamed, so a crash mid-write leaves the previous
+ * checkpoint intact.
+ * @param {string} checkpointPath - Path from getCheckpointPath
+ * @param {Object} state - Fetch progress
+ * @param {Array} state.completedRepos - Full names of repositories fully fetched
+ * @param {Object|null} state.cursor - { repo, branch, alias, mode, page, after, ...counts } for the repository in progress
+ * @param {Object} state.counters - Running totals needed to finish diagnostics
+ * @param {Array} changes - { sha, commit, aliases } for each commit added or updated since the last save; commit is null when only its aliases changed
+ */
+export async function saveCheckpoint(checkpointPath, state, changes = []) {
+  await fs.mkdir(path.dirname(checkpointPath), { recursive: true });
+  const logPath = getCommitLogPath(checkpointPath);
+  if (changes.length > 0) {
+    const lines = changes.map(({ sha, commit, aliases }) =>
+      JSON.stringify({
+        sha,
+        commit: commit ? commitArrayFormat([commit]).data[0] : null,
+        aliases,
+      })
+    );
+    await fs.appendFile(logPath, `${lines.join("\n")}\n`);
+  }
+  const logSize = await fs
+    .stat(logPath)
+    .then((stats) => stats.size)
+    .catch(() => 0);
+  await writeFileAtomic(
+    checkpointPath,
+    JSON.stringify({
+      version: CHECKPOINT_VERSION,
+      savedAt: new Date().toISOString(),
+      ...state,
+      schema: commitArrayFormat([]).schema,
+      logSize,
+    })
+  );
+}
+
+/**
+ * Remove a checkpoint once its fetch has completed
+ * @param {string} checkpointPath - Path from getCheckpointPath
+ */
+export async function clearCheckpoint(checkpointPath) {
+  await fs.rm(checkpointPath, { force: true });
+  await fs.rm(getCommitLogPath(checkpointPath), { force: true });
+}
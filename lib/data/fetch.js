@@ -1,35 +1,169 @@
 import fs from "fs/promises";
 import path from "path";
-import { createDateRange } from "../../core/utils/date.js";
-import { isForkCommit, isPrivateCommit } from "../../core/data/transforms.js";
+import {
+  createDateRange,
+  expandDateRange,
+  shiftDate,
+} from "../../core/utils/date.js";
+import {
+  createRepoMetadata,
+  hasFileList,
+  isForkCommit,
+  isPrivateCommit,
+} from "../../core/data/transforms.js";
 import { createNodePeriodDataManager } from "../../core/data/pdm-node.js";
+import {
+  mergeCommitsBySha,
+  toCommitObject,
+  withBranch,
+} from "../../core/data/commit-object.js";
 import {
   findReposWithCommitsInPeriod,
   getTotalCommitCount,
   getRepositoryCommits,
+  getRepositoryBranches,
   getCommitDetails,
+  getUserNodeId,
+  getRepositoryCommitHistory,
 } from "../api/queries.js";
+import { classifyError } from "../api/errors.js";
+import { resolveIdentities } from "./identities.js";
+import {
+  getCheckpointPath,
+  loadCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint,
+} from "./checkpoint.js";
 import {
   saveCommitRetrievalDiagnostics,
   saveAccessErrorDiagnostics,
+  saveAliasMatchDiagnostics,
 } from "../utils/diagnostics.js";
 
 /**
- * Create a standardized commit object from GitHub API data
- * @param {Object} detailedCommit - Detailed commit data from GitHub API
+ * Check whether an API error means the rate limit is exhausted
+ * Such errors stop the fetch instead of skipping commits; progress up to the
+ * last completed page is kept in the checkpoint.
+ * @param {Error} error - Error thrown by a GitHub API call
+ * @returns {boolean} - True for rate limit errors
+ */
+function isRateLimitError(error) {
+  const kind = classifyError(error);
+  return kind === "rate_limit" || kind === "secondary_rate_limit";
+}
+
+/**
+ * List the branches to walk for a repository, default branch first
  * @param {Object} repo - Repository object
- * @param {boolean} isDocOnly - Whether commit only touches documentation
- * @returns {Object} - Standardized commit object
+ * @param {boolean} allBranches - Whether to walk every branch or only the default
+ * @returns {Promise<Array>} - Branch names, or [null] for the default branch only
+ */
+async function listBranchesToWalk(repo, allBranches) {
+  if (!allBranches) {
+    return [null];
+  }
+  try {
+    const branches = await getRepositoryBranches(repo.owner.login, repo.name);
+    if (branches.length === 0) {
+      return [null];
+    }
+    const names = branches.map((branch) => branch.name);
+    return [
+      ...names.filter((name) => name === repo.default_branch),
+      ...names.filter((name) => name !== repo.default_branch),
+    ];
+  } catch (error) {
+    const status = error.status || error.response?.status;
+    if (status === 403 || status === 404) {
+      throw error;
+    }
+    console.error(
+      `Error listing branches for ${repo.full_name}, walking default branch only:`,
+      error.message
+    );
+    return [null];
+  }
+}
+
+export const FETCH_MODES = ["rest", "graphql"];
+
+/**
+ * Build the GraphQL history author filter for each identity
+ * @param {Array} identities - Identities from getAuthorIdentities
+ * @returns {Promise<Array>} - Filters aligned with identities, { id } or { emails }
  */
-function createCommitObject(detailedCommit, repo, isDocOnly) {
+async function getGraphqlAuthorFilters(identities) {
+  const filters = [];
+  for (const identity of identities) {
+    filters.push(
+      identity.type === "email"
+        ? { emails: [identity.value] }
+        : { id: await getUserNodeId(identity.value) }
+    );
+  }
+  return filters;
+}
+
+/**
+ * Fetch one page of a branch's commits by one of the user's identities
+ * REST pages only list commits, so each one still needs a detail request.
+ * GraphQL pages carry stats for up to 100 commits, so their commits come back
+ * with details attached, though without per-file changes; commits that
+ * changed files are marked needsFiles when file details are wanted.
+ * @param {Object} repo - Repository object
+ * @param {Object} identity - { type, value } login or email to match authors by
+ * @param {Object} dateRange - Range from createDateRange
+ * @param {string|null} branch - Branch name, or null for the default branch
+ * @param {Object} cursor - { page, after } position within the branch
+ * @param {string} mode - One of FETCH_MODES
+ * @param {Object|null} authorFilter - GraphQL author filter, required in graphql mode
+ * @param {boolean} fileDetails - Request per-file changes for GraphQL commits
+ * @returns {Promise<Object>} - { commits: [{ sha, detailedCommit, needsFiles }], hasMore, after }
+ */
+async function fetchCommitPage(
+  repo,
+  identity,
+  dateRange,
+  branch,
+  cursor,
+  mode,
+  authorFilter,
+  fileDetails
+) {
+  if (mode === "graphql") {
+    const history = await getRepositoryCommitHistory(
+      repo.owner.login,
+      repo.name,
+      authorFilter,
+      dateRange.sinceISOString,
+      dateRange.untilISOString,
+      branch,
+      cursor.after
+    );
+    return {
+      commits: history.commits.map((detailedCommit) => ({
+        sha: detailedCommit.sha,
+        detailedCommit,
+        needsFiles: fileDetails && detailedCommit.changedFiles > 0,
+      })),
+      hasMore: history.hasNextPage,
+      after: history.endCursor,
+    };
+  }
+  const pageCommits = await getRepositoryCommits(
+    repo.owner.login,
+    repo.name,
+    identity.value,
+    dateRange.sinceISOString,
+    dateRange.untilISOString,
+    cursor.page,
+    100,
+    branch
+  );
   return {
-    repo: repo.full_name,
-    sha: detailedCommit.sha,
-    timestamp: new Date(detailedCommit.commit.author.date).toISOString(),
-    additions: detailedCommit.stats.additions || 0,
-    deletions: detailedCommit.stats.deletions || 0,
-    filesChanged: detailedCommit.files ? detailedCommit.files.length : 0,
-    isDocOnly: isDocOnly,
+    commits: pageCommits.map(({ sha }) => ({ sha, detailedCommit: null })),
+    hasMore: pageCommits.length === 100,
+    after: null,
   };
 }
 
@@ -40,6 +174,14 @@ function createCommitObject(detailedCommit, repo, isDocOnly) {
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  * @param {string} periodName - Name of the period being processed
+ * @param {Object} options - Fetch options
+ * @param {boolean} options.allBranches - Walk every branch, not just the default (default true)
+ * @param {Object} options.fileClassifier - Compiled classifier from compileFileClassifier
+ * @param {boolean} options.checkpoints - Save progress after every page and resume from it (default true)
+ * @param {string} options.mode - "rest" (default) or "graphql"; graphql falls back to rest per repository on errors
+ * @param {boolean} options.fileDetails - In graphql mode, fetch per-file changes with a REST detail request per commit (default true)
+ * @param {Array} options.identities - Logins and emails from getAuthorIdentities to match authors by (default: the username)
+ * @param {boolean} options.mergeDiagnostics - Combine diagnostics with those already saved for the period instead of replacing them (default false)
  * @returns {Promise<Array>} - Array of commit objects
  */
 export async function fetchCommitsFromRepos(
@@ -47,11 +189,47 @@ export async function fetchCommitsFromRepos(
   username,
   startDate,
   endDate,
-  periodName = "unnamed"
+  periodName = "unnamed",
+  options = {}
 ) {
+  const {
+    allBranches = true,
+    fileClassifier,
+    checkpoints = true,
+    mode = "rest",
+    fileDetails = true,
+    mergeDiagnostics = false,
+  } = options;
+  const identities = resolveIdentities(username, options.identities);
+  if (!FETCH_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown fetch mode "${mode}" (expected ${FETCH_MODES.join(", ")})`
+    );
+  }
   console.log(
-    `Fetching commits from ${repos.length} repositories for period ${startDate} to ${endDate}`
+    `Fetching commits from ${repos.length} repositories for period ${startDate} to ${endDate}${
+      mode === "graphql" ? " via GraphQL" : ""
+    }`
   );
+  if (identities.length > 1) {
+    console.log(
+      `Matching authors by ${identities.map(({ value }) => value).join(", ")}`
+    );
+  }
+  let authorFilters = [];
+  let fetchMode = mode;
+  if (mode === "graphql") {
+    try {
+      authorFilters = await getGraphqlAuthorFilters(identities);
+    } catch (error) {
+      if (isRateLimitError(error)) throw error;
+      console.error(
+        `Could not look up ${username} via GraphQL, using REST instead:`,
+        error.message
+      );
+      fetchMode = "rest";
+    }
+  }
   const stats = {
     periodName,
     username,
@@ -69,6 +247,15 @@ export async function fetchCommitsFromRepos(
   };
   const commitData = [];
   const commitSHAs = new Map();
+  const aliasMatches = new Map();
+  const changedSHAs = new Set();
+  const recordAliasMatch = (sha, alias) => {
+    const aliases = aliasMatches.get(sha) || [];
+    if (!aliases.includes(alias)) {
+      aliasMatches.set(sha, [...aliases, alias]);
+      changedSHAs.add(sha);
+    }
+  };
   const sortedRepos = [...repos].sort((a, b) => {
     if (a.isFork && !b.isFork) return 1;
     if (!a.isFork && b.isFork) return -1;
@@ -79,7 +266,60 @@ export async function fetchCommitsFromRepos(
   let accessDeniedRepos = [];
   let duplicateCommitCount = 0;
   let replacedCommitCount = 0;
+  const completedRepos = new Set();
+  const checkpointPath = checkpoints
+    ? getCheckpointPath(username, periodName, startDate, endDate)
+    : null;
+  const checkpoint = checkpointPath
+    ? await loadCheckpoint(checkpointPath)
+    : null;
+  let resumeCursor = null;
+  if (checkpoint) {
+    checkpoint.commits.forEach((commit) => {
+      commitSHAs.set(commit.sha, commitData.length);
+      commitData.push(commit);
+    });
+    checkpoint.completedRepos.forEach((name) => completedRepos.add(name));
+    Object.assign(stats, checkpoint.counters.stats);
+    accessDeniedRepos = checkpoint.counters.accessDeniedRepos;
+    duplicateCommitCount = checkpoint.counters.duplicateCommitCount;
+    replacedCommitCount = checkpoint.counters.replacedCommitCount;
+    Object.entries(checkpoint.aliasMatches).forEach(([sha, aliases]) =>
+      aliasMatches.set(sha, aliases)
+    );
+    resumeCursor = checkpoint.cursor;
+    console.log(
+      `Resuming from checkpoint saved ${checkpoint.savedAt}: ${completedRepos.size} repositories done, ${commitData.length} commits gathered`
+    );
+  }
+  const saveProgress = async (cursor) => {
+    if (!checkpointPath) return;
+    const changes = [...changedSHAs].map((sha) => ({
+      sha,
+      commit: commitSHAs.has(sha) ? commitData[commitSHAs.get(sha)] : null,
+      aliases: aliasMatches.get(sha),
+    }));
+    changedSHAs.clear();
+    await saveCheckpoint(
+      checkpointPath,
+      {
+        completedRepos: [...completedRepos],
+        cursor,
+        counters: {
+          stats,
+          accessDeniedRepos,
+          duplicateCommitCount,
+          replacedCommitCount,
+        },
+      },
+      changes
+    );
+  };
   for (const repo of sortedRepos) {
+    if (completedRepos.has(repo.full_name)) {
+      totalProcessed++;
+      continue;
+    }
     console.log(
       `[${++totalProcessed}/${repos.length}] Checking ${
         repo.full_name
@@ -96,121 +336,197 @@ export async function fetchCommitsFromRepos(
       commitsReplaced: 0,
       accessError: false,
       pagesProcessed: 0,
+      branchesWalked: 0,
     };
+    const resume =
+      resumeCursor && resumeCursor.repo === repo.full_name
+        ? resumeCursor
+        : null;
     try {
-      let commitsPage = 1;
-      let hasMoreCommits = true;
-      let repoCommitCount = 0;
-      let repoSkippedCount = 0;
-      let repoReplacedCount = 0;
-      while (hasMoreCommits) {
-        repoStat.pagesProcessed++;
-        try {
-          const pageCommits = await getRepositoryCommits(
-            repo.owner.login,
-            repo.name,
-            username,
-            dateRange.sinceISOString,
-            dateRange.untilISOString,
-            commitsPage
-          );
-          for (const commit of pageCommits) {
-            if (commitSHAs.has(commit.sha)) {
-              const existingIndex = commitSHAs.get(commit.sha);
-              const existingCommit = commitData[existingIndex];
-              const existingRepo = repos.find(
-                (r) => r.full_name === existingCommit.repo
+      let repoCommitCount = resume ? resume.repoCommitCount : 0;
+      let repoSkippedCount = resume ? resume.repoSkippedCount : 0;
+      let repoReplacedCount = resume ? resume.repoReplacedCount : 0;
+      let repoMode = resume?.mode || fetchMode;
+      const branches = await listBranchesToWalk(repo, allBranches);
+      repoStat.branchesWalked = branches.length;
+      const resumeBranchIndex = resume
+        ? Math.max(branches.indexOf(resume.branch), 0)
+        : 0;
+      if (resume) {
+        console.log(
+          `Resuming ${repo.full_name} at page ${resume.page}${
+            resume.branch ? ` of ${resume.branch}` : ""
+          }`
+        );
+      }
+      for (const [branchIndex, branch] of branches.entries()) {
+        if (branchIndex < resumeBranchIndex) {
+          continue;
+        }
+        const branchName = branch || repo.default_branch || null;
+        const resumesBranch = resume && branchIndex === resumeBranchIndex;
+        const resumeIdentityIndex = resumesBranch
+          ? Math.max(
+              identities.findIndex(({ value }) => value === resume.alias),
+              0
+            )
+          : 0;
+        for (const [identityIndex, identity] of identities.entries()) {
+          if (identityIndex < resumeIdentityIndex) {
+            continue;
+          }
+          const resumesIdentity =
+            resumesBranch && identityIndex === resumeIdentityIndex;
+          let commitsPage = resumesIdentity ? resume.page : 1;
+          let after = resumesIdentity ? (resume.after ?? null) : null;
+          let hasMoreCommits = true;
+          while (hasMoreCommits) {
+            repoStat.pagesProcessed++;
+            try {
+              const page = await fetchCommitPage(
+                repo,
+                identity,
+                dateRange,
+                branch,
+                { page: commitsPage, after },
+                repoMode,
+                authorFilters[identityIndex],
+                fileDetails
               );
-              const getOrgName = (fullName) => fullName.split("/")[0];
-              const existingOrgName = getOrgName(existingCommit.repo);
-              const currentOrgName = getOrgName(repo.full_name);
-              const sameOrganization = existingOrgName === currentOrgName;
-              const shouldReplace = sameOrganization
-                ? repo.created_at &&
-                  existingRepo?.created_at &&
-                  new Date(repo.created_at) > new Date(existingRepo.created_at)
-                : (repo.created_at &&
-                    existingRepo?.created_at &&
-                    new Date(repo.created_at) <
-                      new Date(existingRepo.created_at)) ||
-                  (repo.created_at === existingRepo?.created_at &&
-                    existingRepo?.isFork &&
-                    !repo.isFork);
-              if (shouldReplace) {
-                console.log(
-                  `Replacing commit ${commit.sha.substring(0, 7)} from ${
-                    existingCommit.repo
-                  } with ${repo.full_name} (older repo)`
-                );
-                try {
-                  const detailedCommit = await getCommitDetails(
-                    repo.owner.login,
-                    repo.name,
-                    commit.sha
-                  );
-                  const modifiedFiles = detailedCommit.files.map(
-                    (file) => file.filename
+              const detailRequests = [];
+              for (const commit of page.commits) {
+                recordAliasMatch(commit.sha, identity.value);
+                if (commitSHAs.has(commit.sha)) {
+                  const existingIndex = commitSHAs.get(commit.sha);
+                  const existingCommit = commitData[existingIndex];
+                  if (existingCommit.repo === repo.full_name) {
+                    commitData[existingIndex] = withBranch(
+                      existingCommit,
+                      branchName
+                    );
+                    changedSHAs.add(commit.sha);
+                    continue;
+                  }
+                  const existingRepo = repos.find(
+                    (r) => r.full_name === existingCommit.repo
                   );
-                  const isDocOnly =
-                    modifiedFiles.length > 0 &&
-                    modifiedFiles.every((file) => isDocumentationFile(file));
-                  commitData[existingIndex] = createCommitObject(
-                    detailedCommit,
-                    repo,
-                    isDocOnly
+                  const getOrgName = (fullName) => fullName.split("/")[0];
+                  const existingOrgName = getOrgName(existingCommit.repo);
+                  const currentOrgName = getOrgName(repo.full_name);
+                  const sameOrganization = existingOrgName === currentOrgName;
+                  const shouldReplace = sameOrganization
+                    ? repo.created_at &&
+                      existingRepo?.created_at &&
+                      new Date(repo.created_at) >
+                        new Date(existingRepo.created_at)
+                    : (repo.created_at &&
+                        existingRepo?.created_at &&
+                        new Date(repo.created_at) <
+                          new Date(existingRepo.created_at)) ||
+                      (repo.created_at === existingRepo?.created_at &&
+                        existingRepo?.isFork &&
+                        !repo.isFork);
+                  if (shouldReplace) {
+                    console.log(
+                      `Replacing commit ${commit.sha.substring(0, 7)} from ${
+                        existingCommit.repo
+                      } with ${repo.full_name} (older repo)`
+                    );
+                    detailRequests.push({ ...commit, existingIndex });
+                  } else {
+                    repoSkippedCount++;
+                    duplicateCommitCount++;
+                  }
+                  continue;
+                }
+                detailRequests.push({ ...commit, existingIndex: null });
+              }
+              const details = await Promise.all(
+                detailRequests.map(({ sha, detailedCommit, needsFiles }) =>
+                  detailedCommit && !needsFiles
+                    ? { detailedCommit }
+                    : getCommitDetails(repo.owner.login, repo.name, sha).then(
+                        (details) => ({ detailedCommit: details }),
+                        // GraphQL totals are still usable without the file list
+                        (error) =>
+                          detailedCommit && !isRateLimitError(error)
+                            ? { detailedCommit }
+                            : { error }
+                      )
+                )
+              );
+              detailRequests.forEach(({ sha, existingIndex }, index) => {
+                const { detailedCommit, error } = details[index];
+                if (error) {
+                  if (isRateLimitError(error)) throw error;
+                  console.error(
+                    `Error fetching details for commit ${sha}:`,
+                    error.message
                   );
+                  return;
+                }
+                const commitObject = withBranch(
+                  toCommitObject(detailedCommit, repo, fileClassifier),
+                  branchName
+                );
+                changedSHAs.add(sha);
+                if (existingIndex !== null) {
+                  commitData[existingIndex] = commitObject;
                   replacedCommitCount++;
                   repoReplacedCount++;
-                  repoCommitCount++;
-                } catch (commitError) {
-                  console.error(
-                    `Error fetching details for commit ${commit.sha}:`,
-                    commitError.message
-                  );
+                } else {
+                  commitData.push(commitObject);
+                  commitSHAs.set(sha, commitData.length - 1);
                 }
-              } else {
-                repoSkippedCount++;
-                duplicateCommitCount++;
+                repoCommitCount++;
+              });
+              hasMoreCommits = page.hasMore;
+              commitsPage++;
+              after = page.after;
+              await saveProgress({
+                repo: repo.full_name,
+                branch,
+                alias: identity.value,
+                mode: repoMode,
+                page: commitsPage,
+                after,
+                repoCommitCount,
+                repoSkippedCount,
+                repoReplacedCount,
+              });
+              if (hasMoreCommits) {
+                console.log(
+                  `Fetching page ${commitsPage} of commits for ${repo.full_name}${
+                    branch ? ` (${branch})` : ""
+                  }...`
+                );
+              }
+            } catch (pageError) {
+              if (isRateLimitError(pageError)) throw pageError;
+              if (repoMode === "graphql") {
+                // Commits already gathered from this repo only gain the branch
+                // again, so the branch can safely restart from its first page.
+                console.error(
+                  `GraphQL history failed for ${repo.full_name}${
+                    branch ? ` (${branch})` : ""
+                  }, falling back to REST:`,
+                  pageError.message
+                );
+                repoMode = "rest";
+                repoStat.graphqlFallback = true;
+                commitsPage = 1;
+                after = null;
+                continue;
               }
-              continue;
-            }
-            try {
-              const detailedCommit = await getCommitDetails(
-                repo.owner.login,
-                repo.name,
-                commit.sha
-              );
-              const modifiedFiles = detailedCommit.files.map(
-                (file) => file.filename
-              );
-              const isDocOnly =
-                modifiedFiles.length > 0 &&
-                modifiedFiles.every((file) => isDocumentationFile(file));
-              commitData.push(
-                createCommitObject(detailedCommit, repo, isDocOnly)
-              );
-              commitSHAs.set(commit.sha, commitData.length - 1);
-              repoCommitCount++;
-            } catch (commitError) {
               console.error(
-                `Error fetching details for commit ${commit.sha}:`,
-                commitError.message
+                `Error fetching page ${commitsPage} of commits for ${
+                  repo.full_name
+                }${branch ? ` (${branch})` : ""}:`,
+                pageError.message
               );
+              hasMoreCommits = false;
             }
           }
-          hasMoreCommits = pageCommits.length === 100;
-          commitsPage++;
-          if (hasMoreCommits) {
-            console.log(
-              `Fetching page ${commitsPage} of commits for ${repo.full_name}...`
-            );
-          }
-        } catch (pageError) {
-          console.error(
-            `Error fetching page ${commitsPage} of commits for ${repo.full_name}:`,
-            pageError.message
-          );
-          hasMoreCommits = false;
         }
       }
       repoStat.commitsFound = repoCommitCount;
@@ -236,6 +552,12 @@ export async function fetchCommitsFromRepos(
         );
       }
     } catch (error) {
+      if (isRateLimitError(error)) {
+        console.error(
+          `Rate limit exhausted while fetching ${repo.full_name}: ${error.message}. Progress is checkpointed; re-run to resume.`
+        );
+        throw error;
+      }
       console.error(
         `Error fetching commits from ${repo.full_name}:`,
         error.message
@@ -261,9 +583,19 @@ export async function fetchCommitsFromRepos(
     }
     stats.repoStats.push(repoStat);
     stats.reposProcessed++;
+    completedRepos.add(repo.full_name);
+    await saveProgress(null);
   }
   stats.commitsDeduplicated = duplicateCommitCount;
   stats.commitsReplaced = replacedCommitCount;
+  stats.commitsWithoutFiles = commitData.filter(
+    (commit) => !hasFileList(commit)
+  ).length;
+  if (stats.commitsWithoutFiles > 0) {
+    console.log(
+      `\n⚠️ WARNING: ${stats.commitsWithoutFiles} commits have no per-file changes: they came from GraphQL with "graphql_file_details" off in FETCH_OPTIONS, or their detail requests failed. Languages, file categories and LOC exclusions leave them out.`
+    );
+  }
   if (accessDeniedRepos.length > 0) {
     console.log(
       `\n⚠️ WARNING: Could not access ${accessDeniedRepos.length} repositories:`
@@ -275,7 +607,11 @@ export async function fetchCommitsFromRepos(
     console.log(
       `To include them, you need the right permissions and a token with the 'repo' scope.`
     );
-    await saveAccessErrorDiagnostics(accessDeniedRepos, periodName);
+    await saveAccessErrorDiagnostics(
+      accessDeniedRepos,
+      periodName,
+      mergeDiagnostics
+    );
   }
   if (duplicateCommitCount > 0) {
     console.log(
@@ -297,20 +633,14 @@ export async function fetchCommitsFromRepos(
   });
   repos.forEach((repo) => {
     if (contributingRepos.has(repo.full_name)) {
-      repoMetadata[repo.full_name] = {
-        private: repo.private || false,
-        isFork: repo.isFork || false,
-        parent: repo.parent,
-        created_at: repo.created_at,
-        owner: repo.owner?.login,
-        name: repo.name,
-      };
+      repoMetadata[repo.full_name] = createRepoMetadata(repo);
     }
   });
   const expectedTotalCount = await getTotalCommitCount(
     username,
     startDate,
-    endDate
+    endDate,
+    identities
   );
   if (expectedTotalCount && commitData.length < expectedTotalCount * 0.9) {
     const missingCount = expectedTotalCount - commitData.length;
@@ -326,11 +656,46 @@ export async function fetchCommitsFromRepos(
     console.log(
       `This often happens when commits are in private repositories that your token cannot access`
     );
+    console.log(
+      `Run "bun run reconcile" to see which repositories and months are missing commits`
+    );
     stats.expectedTotalCount = expectedTotalCount;
     stats.missingCommits = missingCount;
     stats.missingPercentage = (missingCount / expectedTotalCount) * 100;
   }
-  await saveCommitRetrievalDiagnostics(stats, periodName);
+  if (identities.length > 1) {
+    const commitAliases = Object.fromEntries(
+      commitData.map(({ sha }) => [sha, aliasMatches.get(sha) || []])
+    );
+    stats.commitsByAlias = Object.fromEntries(
+      identities.map(({ value }) => [
+        value,
+        Object.values(commitAliases).filter((aliases) =>
+          aliases.includes(value)
+        ).length,
+      ])
+    );
+    console.log(
+      `Commits matched per alias: ${Object.entries(stats.commitsByAlias)
+        .map(([alias, count]) => `${alias} ${count}`)
+        .join(", ")}`
+    );
+    await saveAliasMatchDiagnostics(
+      {
+        username,
+        period: { startDate, endDate },
+        identities,
+        commitsByAlias: stats.commitsByAlias,
+        commits: commitAliases,
+      },
+      periodName,
+      mergeDiagnostics
+    );
+  }
+  await saveCommitRetrievalDiagnostics(stats, periodName, mergeDiagnostics);
+  if (checkpointPath) {
+    await clearCheckpoint(checkpointPath);
+  }
   return {
     commits: commitData,
     repoMetadata: repoMetadata,
@@ -354,6 +719,9 @@ export async function initDirs(...dirs) {
  * @param {string} endDate - End date in YYYY-MM-DD format
  * @param {string} periodName - Name of the period
  * @param {function} findReposWithCommitsInPeriod - Function to find repos with commits
+ * @param {Object} options - Fetch options passed to fetchCommitsFromRepos
+ * @param {Object} options.repoRules - Compiled rules from compileRepoRules, applied when listing the period's repositories
+ * @param {boolean} options.expand - Add buffer days around the range (default true); off for ranges that already have them
  * @returns {Promise<Array>} - Array of commit objects
  */
 export async function fetchCommitsForPeriod(
@@ -361,14 +729,13 @@ export async function fetchCommitsForPeriod(
   startDate,
   endDate,
   periodName,
-  findReposWithCommitsInPeriod
+  findReposWithCommitsInPeriod,
+  options = {}
 ) {
-  const fetchStartDate = new Date(startDate);
-  fetchStartDate.setDate(fetchStartDate.getDate() - 1);
-  const fetchEndDate = new Date(endDate);
-  fetchEndDate.setDate(fetchEndDate.getDate() + 1);
-  const expandedStartDate = fetchStartDate.toISOString().split("T")[0];
-  const expandedEndDate = fetchEndDate.toISOString().split("T")[0];
+  const { expandedStartDate, expandedEndDate } =
+    options.expand === false
+      ? { expandedStartDate: startDate, expandedEndDate: endDate }
+      : expandDateRange(startDate, endDate);
   console.log(
     `Fetching commits for ${periodName}: ${expandedStartDate} to ${expandedEndDate} (period: ${startDate} to ${endDate})`
   );
@@ -376,24 +743,142 @@ export async function fetchCommitsForPeriod(
     username,
     expandedStartDate,
     expandedEndDate,
-    periodName
+    periodName,
+    options.identities,
+    options.repoRules,
+    options.allBranches ?? true
   );
   return await fetchCommitsFromRepos(
     periodRepos,
     username,
     expandedStartDate,
     expandedEndDate,
-    periodName
+    periodName,
+    options
   );
 }
 
+/**
+ * Work out which date ranges a cached period is missing
+ * Ranges outside the cached bounds are missing, as is everything from the day
+ * before the last fetch onwards when that fetch happened before the cached
+ * range ended, since commits may have landed after it.
+ * @param {Object} fetchMetadata - Fetch info saved with the cached period
+ * @param {string} startDate - Requested start date in YYYY-MM-DD format
+ * @param {string} endDate - Requested end date in YYYY-MM-DD format
+ * @returns {Array} - Array of { startDate, endDate } ranges, in order
+ */
+function findMissingRanges(fetchMetadata, startDate, endDate) {
+  const ranges = [];
+  if (startDate < fetchMetadata.fetchStartDate) {
+    ranges.push({
+      startDate,
+      endDate: shiftDate(fetchMetadata.fetchStartDate, -1),
+    });
+  }
+  const fetchedOn = fetchMetadata.fetchTimestamp
+    ? fetchMetadata.fetchTimestamp.split("T")[0]
+    : fetchMetadata.fetchStartDate;
+  const staleFrom =
+    fetchedOn <= fetchMetadata.fetchEndDate
+      ? shiftDate(fetchedOn, -1)
+      : shiftDate(fetchMetadata.fetchEndDate, 1);
+  const refreshStart =
+    staleFrom > fetchMetadata.fetchStartDate
+      ? staleFrom
+      : fetchMetadata.fetchStartDate;
+  if (refreshStart <= endDate) {
+    ranges.push({
+      startDate: refreshStart > startDate ? refreshStart : startDate,
+      endDate,
+    });
+  }
+  return ranges;
+}
+
+/**
+ * Fetch missing date ranges for a cached period and merge them in
+ * The ranges already include the period's buffer days, so each is fetched as
+ * is, and its diagnostics are merged into those saved for the period.
+ * @param {string} username - GitHub username
+ * @param {Object} cached - { commits, repoMetadata, fetchMetadata } loaded from disk
+ * @param {Array} missingRanges - Ranges from findMissingRanges
+ * @param {Object} period - { startDate, endDate, periodName }
+ * @param {Object} dataManager - Period data manager for saving
+ * @param {Object} options - Fetch options passed to fetchCommitsFromRepos
+ * @returns {Promise<Object>} - { commits, repoMetadata } after merging
+ */
+async function fetchMissingRanges(
+  username,
+  cached,
+  missingRanges,
+  period,
+  dataManager,
+  options
+) {
+  let commits = cached.commits;
+  let repoMetadata = cached.repoMetadata;
+  for (const range of missingRanges) {
+    console.log(
+      `Delta fetching ${period.periodName}: ${range.startDate} to ${range.endDate}`
+    );
+    const fetched = await fetchCommitsForPeriod(
+      username,
+      range.startDate,
+      range.endDate,
+      period.periodName,
+      findReposWithCommitsInPeriod,
+      { ...options, expand: false, mergeDiagnostics: true }
+    );
+    const { merged, added } = mergeCommitsBySha(commits, fetched.commits);
+    console.log(
+      `  ${added} new commits (${fetched.commits.length - added} already cached)`
+    );
+    commits = merged;
+    repoMetadata = { ...repoMetadata, ...fetched.repoMetadata };
+  }
+  const { fetchMetadata } = cached;
+  const fetchedStartDate = missingRanges[0].startDate;
+  const fetchedEndDate = missingRanges[missingRanges.length - 1].endDate;
+  const updatedFetchMetadata = {
+    ...fetchMetadata,
+    fetchStartDate:
+      fetchedStartDate < fetchMetadata.fetchStartDate
+        ? fetchedStartDate
+        : fetchMetadata.fetchStartDate,
+    fetchEndDate:
+      fetchedEndDate > fetchMetadata.fetchEndDate
+        ? fetchedEndDate
+        : fetchMetadata.fetchEndDate,
+    originalStartDate: period.startDate,
+    originalEndDate: period.endDate,
+    fetchTimestamp: new Date().toISOString(),
+    lastDeltaRanges: missingRanges,
+    filesAvailable: commits.every(hasFileList),
+  };
+  await dataManager.savePeriodData(
+    period.periodName,
+    commits,
+    repoMetadata,
+    updatedFetchMetadata
+  );
+  console.log(
+    `✓ Delta fetch complete: ${commits.length} commits (${
+      commits.length - cached.commits.length
+    } new)`
+  );
+  return { commits, repoMetadata };
+}
+
 /**
  * Load or fetch commits for a period with buffer days for session detection
+ * Cached periods are topped up by fetching only the missing date ranges.
  * @param {string} username - GitHub username
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  * @param {string} jsonPath - Path to JSON file for caching
  * @param {string} periodName - Name of the period
+ * @param {Object} options - Fetch options passed to fetchCommitsFromRepos
  * @returns {Promise<Array>} - Array of commit objects
  */
 export async function fetchCommits(
@@ -401,108 +886,106 @@ export async function fetchCommits(
   startDate,
   endDate,
   jsonPath,
-  periodName = "unnamed"
+  periodName = "unnamed",
+  options = {}
 ) {
-  const fetchStartDate = new Date(startDate);
-  fetchStartDate.setDate(fetchStartDate.getDate() - 1);
-  const fetchEndDate = new Date(endDate);
-  fetchEndDate.setDate(fetchEndDate.getDate() + 1);
-  const expandedStartDate = fetchStartDate.toISOString().split("T")[0];
-  const expandedEndDate = fetchEndDate.toISOString().split("T")[0];
+  const { expandedStartDate, expandedEndDate } = expandDateRange(
+    startDate,
+    endDate
+  );
   console.log(
     `Fetching commits for ${periodName}: ${expandedStartDate} to ${expandedEndDate} (period: ${startDate} to ${endDate})`
   );
   const dataManager = createNodePeriodDataManager(path.dirname(jsonPath), {});
+  let cached = null;
   try {
     console.log(`Loading commits from ${jsonPath}`);
-    const { commits, repoMetadata, fetchMetadata } =
-      await dataManager.loadPeriodData(periodName);
-    const cachedCommitCount = commits.length;
-    if (commits.length > 0) {
-      if (
-        fetchMetadata &&
-        fetchMetadata.fetchStartDate <= expandedStartDate &&
-        fetchMetadata.fetchEndDate >= expandedEndDate
-      ) {
-        console.log(`✓ Using cached data: ${cachedCommitCount} commits`);
-        console.log(
-          `Cache covers ${fetchMetadata.fetchStartDate} to ${fetchMetadata.fetchEndDate}`
-        );
-        const privateCommits = commits.filter((row) =>
-          isPrivateCommit(row, repoMetadata)
-        ).length;
-        const privatePercentage = (privateCommits / cachedCommitCount) * 100;
-        console.log(
-          `${privatePercentage.toFixed(
-            1
-          )}% of cached commits are from private repositories`
-        );
-        return { commits, repoMetadata };
-      } else {
-        console.log(
-          `Cache doesn't cover expanded range (${expandedStartDate} to ${expandedEndDate}), refetching...`
-        );
-        console.log(
-          `Cache only covers ${fetchMetadata.fetchStartDate} to ${fetchMetadata.fetchEndDate}`
-        );
-        throw new Error("Cache range insufficient");
-      }
-    }
+    cached = await dataManager.loadPeriodData(periodName);
   } catch (error) {
-    await fs.mkdir(path.dirname(jsonPath), { recursive: true });
-    const { commits: commitData, repoMetadata } = await fetchCommitsForPeriod(
-      username,
+    console.log(`No cached data for ${periodName}, fetching full period`);
+  }
+  if (cached && cached.commits.length > 0 && cached.fetchMetadata) {
+    const { commits, repoMetadata, fetchMetadata } = cached;
+    const missingRanges = findMissingRanges(
+      fetchMetadata,
       expandedStartDate,
-      expandedEndDate,
-      periodName,
-      findReposWithCommitsInPeriod
-    );
-    if (commitData.length > 0) {
-      const fetchMetadata = {
-        fetchStartDate: expandedStartDate,
-        fetchEndDate: expandedEndDate,
-        originalStartDate: startDate,
-        originalEndDate: endDate,
-        fetchTimestamp: new Date().toISOString(),
-      };
-      await dataManager.savePeriodData(
-        periodName,
-        commitData,
-        repoMetadata,
-        fetchMetadata
+      expandedEndDate
+    );
+    if (missingRanges.length === 0) {
+      console.log(`✓ Using cached data: ${commits.length} commits`);
+      console.log(
+        `Cache covers ${fetchMetadata.fetchStartDate} to ${fetchMetadata.fetchEndDate}`
       );
-      console.log(`Saved ${commitData.length} commits to ${jsonPath}`);
-      const privateCommits = commitData.filter((row) =>
+      const privateCommits = commits.filter((row) =>
         isPrivateCommit(row, repoMetadata)
       ).length;
-      const privatePercentage = (privateCommits / commitData.length) * 100;
+      const privatePercentage = (privateCommits / commits.length) * 100;
       console.log(
         `${privatePercentage.toFixed(
           1
-        )}% of commits are from private repositories`
-      );
-      const forkCommits = commitData.filter((commit) =>
-        isForkCommit(commit, repoMetadata)
-      ).length;
-      const forkPercentage = (forkCommits / commitData.length) * 100;
-      console.log(
-        `${forkPercentage.toFixed(1)}% of commits are from forked repositories`
-      );
-    } else {
-      console.log(
-        `No commits found for period ${expandedStartDate} to ${expandedEndDate}`
+        )}% of cached commits are from private repositories`
       );
+      return { commits, repoMetadata };
     }
-    return { commits: commitData, repoMetadata };
+    console.log(
+      `Cache covers ${fetchMetadata.fetchStartDate} to ${
+        fetchMetadata.fetchEndDate
+      } (fetched ${fetchMetadata.fetchTimestamp}); fetching ${
+        missingRanges.length
+      } missing range(s)`
+    );
+    return await fetchMissingRanges(
+      username,
+      cached,
+      missingRanges,
+      { startDate, endDate, periodName },
+      dataManager,
+      options
+    );
   }
-}
-
-function isDocumentationFile(filePath) {
-  return (
-    filePath.endsWith(".md") ||
-    filePath.endsWith(".markdown") ||
-    filePath.endsWith(".txt") ||
-    filePath.includes("/docs/") ||
-    filePath.includes("/documentation/")
+  await fs.mkdir(path.dirname(jsonPath), { recursive: true });
+  const { commits: commitData, repoMetadata } = await fetchCommitsForPeriod(
+    username,
+    expandedStartDate,
+    expandedEndDate,
+    periodName,
+    findReposWithCommitsInPeriod,
+    options
   );
+  if (commitData.length > 0) {
+    const fetchMetadata = {
+      fetchStartDate: expandedStartDate,
+      fetchEndDate: expandedEndDate,
+      originalStartDate: startDate,
+      originalEndDate: endDate,
+      fetchTimestamp: new Date().toISOString(),
+      filesAvailable: commitData.every(hasFileList),
+    };
+    await dataManager.savePeriodData(
+      periodName,
+      commitData,
+      repoMetadata,
+      fetchMetadata
+    );
+    console.log(`Saved ${commitData.length} commits to ${jsonPath}`);
+    const privateCommits = commitData.filter((row) =>
+      isPrivateCommit(row, repoMetadata)
+    ).length;
+    const privatePercentage = (privateCommits / commitData.length) * 100;
+    console.log(
+      `${privatePercentage.toFixed(1)}% of commits are from private repositories`
+    );
+    const forkCommits = commitData.filter((commit) =>
+      isForkCommit(commit, repoMetadata)
+    ).length;
+    const forkPercentage = (forkCommits / commitData.length) * 100;
+    console.log(
+      `${forkPercentage.toFixed(1)}% of commits are from forked repositories`
+    );
+  } else {
+    console.log(
+      `No commits found for period ${expandedStartDate} to ${expandedEndDate}`
+    );
+  }
+  return { commits: commitData, repoMetadata };
 }
@@ -0,0 +1,47 @@
+/**
+ * List the identities a user's commits may be attributed to
+ * The username comes first, then alias logins (e.g. a second work account)
+ * and alias emails, which catch commits made with an email that is not linked
+ * to any account.
+ * @param {Object} userConfig - GITHUB_USERNAMES entry with username and optional aliases { logins, emails }
+ * @returns {Array} - Array of { type: "login"|"email", value }, without duplicates
+ */
+export function getAuthorIdentities(userConfig) {
+  const { username, aliases = {} } = userConfig;
+  const identities = [
+    { type: "login", value: username },
+    ...(aliases.logins || []).map((value) => ({ type: "login", value })),
+    ...(aliases.emails || []).map((value) => ({ type: "email", value })),
+  ];
+  const seen = new Set();
+  return identities.filter(({ type, value }) => {
+    if (!value) return false;
+    const key = `${type}:${value.toLowerCase()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Get the identities of a user, defaulting to the username alone
+ * @param {string} username - GitHub username
+ * @param {Array|null} identities - Identities from getAuthorIdentities, if known
+ * @returns {Array} - Array of { type, value }
+ */
+export function resolveIdentities(username, identities) {
+  return identities && identities.length > 0
+    ? identities
+    : [{ type: "login", value: username }];
+}
+
+/**
+ * Build the commit search qualifier matching an identity
+ * @param {Object} identity - { type, value } from getAuthorIdentities
+ * @returns {string} - e.g. "author:octocat" or "author-email:me@example.com"
+ */
+export function getSearchQualifier(identity) {
+  return identity.type === "email"
+    ? `author-email:${identity.value}`
+    : `author:${identity.value}`;
+}
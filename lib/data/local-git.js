@@ -0,0 +1,263 @@
+import { execFile } from "child_process";
+import path from "path";
+import { promisify } from "util";
+import { createDateRange } from "../../core/utils/date.js";
+import { createRepoMetadata } from "../../core/data/transforms.js";
+import { toCommitObject } from "../../core/data/commit-object.js";
+
+const execFileAsync = promisify(execFile);
+
+const RECORD_START = "\x1e";
+const FIELD_SEP = "\x1f";
+const HEADER_END = "\x1d";
+const LOG_FIELDS = [
+  "%H",
+  "%aI",
+  "%S",
+  "%an",
+  "%ae",
+  "%cn",
+  "%ce",
+  "%cI",
+  "%P",
+  "%B",
+];
+const LOG_FORMAT = `${RECORD_START}${LOG_FIELDS.join(FIELD_SEP)}${HEADER_END}`;
+
+/**
+ * Run a git command inside a local clone
+ * @param {string} repoPath - Path to the local clone
+ * @param {Array} args - Git arguments
+ * @returns {Promise<string>} - Command stdout
+ */
+async function runGit(repoPath, args) {
+  const { stdout } = await execFileAsync("git", ["-C", repoPath, ...args], {
+    maxBuffer: 256 * 1024 * 1024,
+  });
+  return stdout;
+}
+
+/**
+ * Resolve the destination path of a numstat entry that git reported as a rename
+ * @param {string} filePath - Path as printed by numstat, e.g. "src/{a => b}/x.js"
+ * @returns {string} - Path after the rename
+ */
+function resolveRenamedPath(filePath) {
+  const braced = filePath.match(/^(.*)\{(.*) => (.*)\}(.*)$/);
+  if (braced) {
+    const [, prefix, , to, suffix] = braced;
+    return `${prefix}${to}${suffix}`.replace(/\/\//g, "/");
+  }
+  const plain = filePath.split(" => ");
+  return plain[plain.length - 1];
+}
+
+/**
+ * Parse a numstat line into a GitHub-style file entry
+ * @param {string} line - Numstat line ("additions\tdeletions\tpath")
+ * @returns {Object} - File entry with filename, additions and deletions
+ */
+function parseNumstatLine(line) {
+  const [additions, deletions, ...pathParts] = line.split("\t");
+  return {
+    filename: resolveRenamedPath(pathParts.join("\t")),
+    additions: additions === "-" ? 0 : parseInt(additions, 10),
+    deletions: deletions === "-" ? 0 : parseInt(deletions, 10),
+  };
+}
+
+/**
+ * Parse one git log record into the shape returned by the GitHub commit API
+ * @param {string} record - Raw record text following the record separator
+ * @returns {Object} - Detailed commit object compatible with toCommitObject
+ */
+function parseLogRecord(record) {
+  const [header, numstat = ""] = record.split(HEADER_END);
+  const [
+    sha,
+    authorDate,
+    sourceRef,
+    authorName,
+    authorEmail,
+    committerName,
+    committerEmail,
+    committerDate,
+    parents,
+    message,
+  ] = header.split(FIELD_SEP);
+  const files = numstat
+    .split("\n")
+    .filter((line) => line.trim())
+    .map(parseNumstatLine);
+  return {
+    sha,
+    commit: {
+      author: { name: authorName, email: authorEmail, date: authorDate },
+      committer: {
+        name: committerName,
+        email: committerEmail,
+        date: committerDate,
+      },
+      message,
+    },
+    parents: parents
+      .split(" ")
+      .filter((parent) => parent)
+      .map((parent) => ({ sha: parent })),
+    stats: {
+      additions: files.reduce((sum, file) => sum + file.additions, 0),
+      deletions: files.reduce((sum, file) => sum + file.deletions, 0),
+    },
+    files,
+    branch: sourceRef.replace(/^refs\/(heads|remotes\/[^/]+|tags)\//, ""),
+  };
+}
+
+/**
+ * Derive an owner/name repository identity from a remote URL
+ * @param {string} remoteUrl - Remote URL (https or scp-style ssh)
+ * @returns {Object|null} - { host, owner, name } or null if unparseable
+ */
+function parseRemoteUrl(remoteUrl) {
+  const match = remoteUrl
+    .trim()
+    .match(
+      /^(?:[a-z+]+:\/\/)?(?:[^@/]+@)?([^/:]+)[:/](.+?)\/([^/]+?)(?:\.git)?\/?$/
+    );
+  if (!match) return null;
+  const [, host, ownerPath, name] = match;
+  return { host, owner: ownerPath.split("/").pop(), name };
+}
+
+/**
+ * Describe a local clone as a repository object like the ones used for API fetching
+ * A clone's remote says nothing reliable about visibility, so privacy comes
+ * from configuration and stays unknown (null) when not set.
+ * @param {string} repoPath - Path to the local clone
+ * @param {boolean|null} isPrivate - Whether the repository is private, or null if unknown
+ * @returns {Promise<Object>} - Repository object
+ */
+export async function getLocalRepository(repoPath, isPrivate = null) {
+  let remote = null;
+  try {
+    remote = parseRemoteUrl(
+      await runGit(repoPath, ["remote", "get-url", "origin"])
+    );
+  } catch (error) {
+    console.log(`No origin remote for ${repoPath}, using directory name`);
+  }
+  const owner = remote ? remote.owner : "local";
+  const name = remote ? remote.name : path.basename(path.resolve(repoPath));
+  const rootDates = await runGit(repoPath, [
+    "log",
+    "--max-parents=0",
+    "--format=%aI",
+    "--all",
+  ]).catch(() => "");
+  const rootDate = rootDates
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => new Date(line).toISOString())
+    .sort()[0];
+  return {
+    full_name: `${owner}/${name}`,
+    owner: { login: owner },
+    name,
+    private: isPrivate,
+    isFork: false,
+    parent: null,
+    created_at: rootDate || null,
+    localPath: path.resolve(repoPath),
+  };
+}
+
+/**
+ * Read commits from a local clone across all refs for a date range, noting the ref each was reached from
+ * @param {string} repoPath - Path to the local clone
+ * @param {Array} authors - Author patterns passed to git log --author
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @returns {Promise<Array>} - Detailed commit objects in GitHub API shape
+ */
+export async function getLocalRepositoryCommits(
+  repoPath,
+  authors,
+  startDate,
+  endDate
+) {
+  const dateRange = createDateRange(startDate, endDate);
+  const output = await runGit(repoPath, [
+    "log",
+    "--exclude=refs/stash",
+    "--all",
+    "--numstat",
+    "--source",
+    `--format=${LOG_FORMAT}`,
+    `--since=${dateRange.sinceISOString}`,
+    `--until=${dateRange.untilISOString}`,
+    ...authors.map((author) => `--author=${author}`),
+  ]);
+  return output
+    .split(RECORD_START)
+    .filter((record) => record.trim())
+    .map(parseLogRecord);
+}
+
+/**
+ * Fetch commits from local clones for a specific time period
+ * @param {Array} repoPaths - Paths to local clones
+ * @param {Array} authors - Author patterns (names or emails) identifying the user
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {Object} fileClassifier - Compiled classifier from compileFileClassifier
+ * @param {boolean|null} isPrivate - Whether the clones are private repositories, or null if unknown
+ * @returns {Promise<Object>} - { commits, repoMetadata } as produced by fetchCommitsFromRepos
+ */
+export async function fetchCommitsFromLocalRepos(
+  repoPaths,
+  authors,
+  startDate,
+  endDate,
+  fileClassifier,
+  isPrivate = null
+) {
+  console.log(
+    `Reading commits from ${repoPaths.length} local repositories for period ${startDate} to ${endDate}`
+  );
+  const commitData = [];
+  const commitSHAs = new Set();
+  const repoMetadata = {};
+  for (const repoPath of repoPaths) {
+    try {
+      const repo = await getLocalRepository(repoPath, isPrivate);
+      const detailedCommits = await getLocalRepositoryCommits(
+        repoPath,
+        authors,
+        startDate,
+        endDate
+      );
+      const newCommits = detailedCommits.filter(
+        (commit) => !commitSHAs.has(commit.sha)
+      );
+      newCommits.forEach((detailedCommit) => {
+        commitSHAs.add(detailedCommit.sha);
+        commitData.push({
+          ...toCommitObject(detailedCommit, repo, fileClassifier),
+          branches: [detailedCommit.branch],
+        });
+      });
+      if (newCommits.length > 0) {
+        repoMetadata[repo.full_name] = createRepoMetadata(repo);
+      }
+      console.log(
+        `Found ${newCommits.length} unique commits in ${repo.full_name} (${repoPath})`
+      );
+    } catch (error) {
+      console.error(
+        `Error reading local repository ${repoPath}:`,
+        error.message
+      );
+    }
+  }
+  return { commits: commitData, repoMetadata };
+}
@@ -0,0 +1,129 @@
+/**
+ * Get the UTC day of a timestamp
+ * Search results carry the committer's local offset, so their date prefix can
+ * be a day off from the UTC day stored commits are bucketed by.
+ * @param {string|Date} value - ISO 8601 timestamp with any offset, or a Date
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+function toUtcDay(value) {
+  return new Date(value).toISOString().split("T")[0];
+}
+
+/**
+ * Get the UTC month of a timestamp, the bucket reconciliation counts by
+ * @param {string|Date} value - ISO 8601 timestamp with any offset, or a Date
+ * @returns {string} - Month in YYYY-MM format
+ */
+export function getUtcMonth(value) {
+  return toUtcDay(value).slice(0, 7);
+}
+
+/**
+ * Get the UTC day a commit was committed on, as the search API dates it
+ * @param {Object} commit - Stored commit object
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+function getCommitDay(commit) {
+  return toUtcDay(commit.committerDate || commit.timestamp);
+}
+
+/**
+ * Add a commit to a { search, stored, missing } count keyed by name
+ * @param {Map} counts - Map of key to counts
+ * @param {string} key - Repository, month or "repo month" key
+ * @param {string} field - "search", "stored" or "missing"
+ * @returns {Object} - The updated counts for the key
+ */
+function addCount(counts, key, field) {
+  const entry = counts.get(key) || {
+    search: 0,
+    stored: 0,
+    missing: 0,
+    missingShas: [],
+  };
+  entry[field]++;
+  counts.set(key, entry);
+  return entry;
+}
+
+/**
+ * Compare commits listed by the search API with the stored commits
+ * Commits are matched by SHA, so a commit stored under another repository
+ * (after fork deduplication, say) still counts as found. Stored commits are
+ * counted by the day they were committed, which is what search filters on,
+ * and both sides are bucketed into months by UTC day.
+ * Search only covers default branches and skips forks, so stored commits
+ * missing from search are reported separately rather than as errors.
+ * @param {Array} searchCommits - Array of { sha, repo, committerDate } from searchCommitsInRange
+ * @param {Array} storedCommits - Stored commit objects for the period
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @returns {Object} - { totals, byRepo, byMonth, gaps }
+ */
+export function reconcileCommits(
+  searchCommits,
+  storedCommits,
+  startDate,
+  endDate
+) {
+  const inPeriod = storedCommits.filter((commit) => {
+    const day = getCommitDay(commit);
+    return day >= startDate && day <= endDate;
+  });
+  const storedShas = new Set(inPeriod.map((commit) => commit.sha));
+  const searchShas = new Set(searchCommits.map((commit) => commit.sha));
+  const byRepo = new Map();
+  const byMonth = new Map();
+  const byRepoMonth = new Map();
+  searchCommits.forEach(({ sha, repo, committerDate }) => {
+    const month = getUtcMonth(committerDate);
+    const found = storedShas.has(sha);
+    [
+      [byRepo, repo],
+      [byMonth, month],
+      [byRepoMonth, `${repo} ${month}`],
+    ].forEach(([counts, key]) => {
+      addCount(counts, key, "search");
+      if (!found) {
+        addCount(counts, key, "missing").missingShas.push(sha);
+      }
+    });
+  });
+  inPeriod.forEach((commit) => {
+    const month = getUtcMonth(commit.committerDate || commit.timestamp);
+    addCount(byRepo, commit.repo, "stored");
+    addCount(byMonth, month, "stored");
+    addCount(byRepoMonth, `${commit.repo} ${month}`, "stored");
+  });
+  const toRows = (counts, keyNames) =>
+    [...counts.entries()]
+      .map(([key, entry]) => {
+        const keys = key.split(" ");
+        return {
+          ...Object.fromEntries(keyNames.map((name, i) => [name, keys[i]])),
+          ...entry,
+        };
+      })
+      .sort((a, b) =>
+        keyNames
+          .map((name) => a[name].localeCompare(b[name]))
+          .reduce((order, next) => order || next, 0)
+      );
+  const missingCount = [...searchShas].filter(
+    (sha) => !storedShas.has(sha)
+  ).length;
+  return {
+    totals: {
+      search: searchShas.size,
+      stored: storedShas.size,
+      matched: searchShas.size - missingCount,
+      missing: missingCount,
+      notInSearch: [...storedShas].filter((sha) => !searchShas.has(sha)).length,
+    },
+    byRepo: toRows(byRepo, ["repo"]),
+    byMonth: toRows(byMonth, ["month"]),
+    gaps: toRows(byRepoMonth, ["repo", "month"]).filter(
+      (row) => row.missing > 0
+    ),
+  };
+}
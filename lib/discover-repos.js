@@ -1,8 +1,10 @@
 import fs from "fs/promises";
 import path from "path";
-import { getUserDirs } from "./config.js";
+import { OUTPUT_DIR, getUserDirs } from "./config.js";
+import { loadParameters } from "./parameters.js";
 import {
-  getUserActivityRepositories,
+  getChunkedActivityRepositories,
+  ACTIVITY_CHUNK_SIZES,
   getUserEventRepositories,
   getUserRepositories,
   getOrganizationRepositories,
@@ -12,31 +14,41 @@ import {
   getRepositoryDetails,
   getRepositoryCommits,
 } from "./api/queries.js";
+import {
+  configureGitHubSources,
+  useGitHubSource,
+  DEFAULT_SOURCE,
+} from "./api/github.js";
+import { getAuthorIdentities, getSearchQualifier } from "./data/identities.js";
+import {
+  initDiagnostics,
+  saveActivityDiscoveryDiagnostics,
+  saveRepoExclusionDiagnostics,
+} from "./utils/diagnostics.js";
+import {
+  compileRepoRules,
+  needsRepoMetadata,
+  getRepoNameExclusion,
+  getRepoMetadataExclusion,
+} from "../core/data/repo-rules.js";
 
-async function loadParameters(paramFile) {
-  try {
-    const data = await fs.readFile(paramFile, "utf8");
-    return JSON.parse(data);
-  } catch (error) {
-    console.error(
-      `Error loading parameters from ${paramFile}: ${error.message}`
-    );
-    process.exit(1);
-  }
-}
-
-async function hasCommitsInPeriod(repo, username, period) {
+async function hasCommitsInPeriod(repo, identities, period) {
   try {
-    const commits = await getRepositoryCommits(
-      repo.owner.login,
-      repo.name,
-      username,
-      new Date(`${period.start}T00:00:00Z`).toISOString(),
-      new Date(`${period.end}T23:59:59Z`).toISOString(),
-      1,
-      1
-    );
-    return commits && commits.length > 0;
+    for (const identity of identities) {
+      const commits = await getRepositoryCommits(
+        repo.owner.login,
+        repo.name,
+        identity.value,
+        new Date(`${period.start}T00:00:00Z`).toISOString(),
+        new Date(`${period.end}T23:59:59Z`).toISOString(),
+        1,
+        1
+      );
+      if (commits && commits.length > 0) {
+        return true;
+      }
+    }
+    return false;
   } catch (commitError) {
     return false;
   }
@@ -126,7 +138,43 @@ async function updateRepoListFile(username, period, newRepos) {
   }
 }
 
-async function discoverRepositoriesForPeriod(username, period) {
+async function applyRepoRules(username, period, repoNames, repoRules) {
+  const kept = [];
+  const excluded = [];
+  for (const repoName of repoNames) {
+    const exclusion = getRepoNameExclusion(repoName, repoRules);
+    if (exclusion) {
+      excluded.push({ repo: repoName, ...exclusion });
+    } else {
+      kept.push(repoName);
+    }
+  }
+  let remaining = kept;
+  if (needsRepoMetadata(repoRules) && kept.length > 0) {
+    const repoDetails = await getRepositoryDetails(kept);
+    remaining = kept.filter((repoName) => {
+      const repoInfo = repoDetails.get(repoName);
+      const exclusion =
+        repoInfo && getRepoMetadataExclusion(repoInfo, repoRules);
+      if (exclusion) {
+        excluded.push({ repo: repoName, ...exclusion });
+      }
+      return !exclusion;
+    });
+  }
+  if (excluded.length > 0) {
+    console.log(`\nExcluded ${excluded.length} repositories by REPO_RULES:`);
+    excluded.forEach(({ repo, reason }) => console.log(`- ${repo}: ${reason}`));
+  }
+  await saveRepoExclusionDiagnostics(
+    { username, period, stage: "discovery", excluded },
+    period.name
+  );
+  return remaining;
+}
+
+async function discoverRepositoriesForPeriod(username, period, options) {
+  const { identities, chunkSize, repoRules } = options;
   console.log(
     `\nDiscovering repositories for ${username} in period ${period.name} (${period.start} to ${period.end})...`
   );
@@ -166,19 +214,48 @@ async function discoverRepositoriesForPeriod(username, period) {
   console.log(
     `Fetching user activity via GraphQL for period ${period.name}...`
   );
-  try {
-    const activityRepos = await getUserActivityRepositories(
-      username,
-      period.start,
-      period.end
-    );
-    activityRepos.forEach((repo) => discoveredRepos.add(repo));
-    console.log(
-      `Found ${activityRepos.length} repositories from GraphQL activity (may include duplicates)`
-    );
-  } catch (error) {
-    console.error(`Error in user activity query:`, error.message);
+  const logins = identities
+    .filter(({ type }) => type === "login")
+    .map(({ value }) => value);
+  const activityDiagnostics = {
+    username,
+    period,
+    chunkSize,
+    logins: {},
+    timestamp: new Date().toISOString(),
+  };
+  for (const login of logins) {
+    try {
+      const activity = await getChunkedActivityRepositories(
+        login,
+        period.start,
+        period.end,
+        chunkSize
+      );
+      activity.repos.forEach((repo) => discoveredRepos.add(repo));
+      activityDiagnostics.logins[login] = {
+        repoCount: activity.repos.length,
+        chunks: activity.chunks,
+        cappedChunks: activity.cappedChunks,
+      };
+      console.log(
+        `Found ${activity.repos.length} repositories from GraphQL activity of ${login} across ${activity.chunks.length} chunks`
+      );
+      if (activity.cappedChunks.length > 0) {
+        console.warn(
+          `⚠️ ${activity.cappedChunks.length} days still hit the 100-repository cap: ${activity.cappedChunks
+            .map((chunk) => chunk.startDate)
+            .join(", ")}`
+        );
+      }
+    } catch (error) {
+      console.error(
+        `Error in user activity query for ${login}:`,
+        error.message
+      );
+    }
   }
+  await saveActivityDiscoveryDiagnostics(activityDiagnostics, period.name);
   if (isAuthUser) {
     // APPROACH 2: Authenticated user events
     console.log(
@@ -203,7 +280,7 @@ async function discoverRepositoriesForPeriod(username, period) {
         );
         for (const repo of repos) {
           try {
-            if (await hasCommitsInPeriod(repo, username, period)) {
+            if (await hasCommitsInPeriod(repo, identities, period)) {
               discoveredRepos.add(repo.full_name);
             }
           } catch (commitError) {
@@ -240,7 +317,7 @@ async function discoverRepositoriesForPeriod(username, period) {
             );
             for (const repo of orgRepos) {
               try {
-                if (await hasCommitsInPeriod(repo, username, period)) {
+                if (await hasCommitsInPeriod(repo, identities, period)) {
                   discoveredRepos.add(repo.full_name);
                 }
               } catch (commitError) {
@@ -264,9 +341,14 @@ async function discoverRepositoriesForPeriod(username, period) {
   );
   try {
     const baseQueries = [
-      `author:${username}`,
-      `committer:${username}`,
-      `author-email:*@users.noreply.github.com author-name:${username}`,
+      ...logins.flatMap((login) => [
+        `author:${login}`,
+        `committer:${login}`,
+        `author-email:*@users.noreply.github.com author-name:${login}`,
+      ]),
+      ...identities
+        .filter(({ type }) => type === "email")
+        .map((identity) => getSearchQualifier(identity)),
     ];
     for (const baseQuery of baseQueries) {
       const periodRepos = await searchRepositoriesInPeriod(
@@ -283,7 +365,12 @@ async function discoverRepositoriesForPeriod(username, period) {
   } catch (error) {
     console.error(`Error in REST API commit search:`, error.message);
   }
-  const reposList = Array.from(discoveredRepos);
+  const reposList = await applyRepoRules(
+    username,
+    period,
+    Array.from(discoveredRepos),
+    repoRules
+  );
   console.log(
     `\nTotal discovered repositories for period ${period.name}: ${reposList.length}`
   );
@@ -298,22 +385,33 @@ async function main() {
     "parameters.json"
   );
   const args = process.argv.slice(2);
-  const parameterFile = args[0] || DEFAULT_PARAMETERS_FILE;
-  console.log(`Loading parameters from: ${parameterFile}`);
-  const { PERIODS, GITHUB_USERNAMES } = await loadParameters(parameterFile);
-  if (
-    !GITHUB_USERNAMES ||
-    !Array.isArray(GITHUB_USERNAMES) ||
-    GITHUB_USERNAMES.length === 0
-  ) {
-    console.error("No GitHub users specified in parameters file.");
-    return;
+  const parameterFile =
+    args.find((arg) => !arg.startsWith("--")) || DEFAULT_PARAMETERS_FILE;
+  const chunkArg = args.find((arg) => arg.startsWith("--chunk="));
+  const chunkSize = chunkArg ? chunkArg.slice("--chunk=".length) : "month";
+  if (!ACTIVITY_CHUNK_SIZES.includes(chunkSize)) {
+    console.error(
+      `Unknown chunk size "${chunkSize}" (expected ${ACTIVITY_CHUNK_SIZES.join(", ")})`
+    );
+    process.exit(1);
   }
+  console.log(`Loading parameters from: ${parameterFile}`);
+  const { PERIODS, GITHUB_USERNAMES, GITHUB_SOURCES, REPO_RULES } =
+    await loadParameters(parameterFile);
+  configureGitHubSources(GITHUB_SOURCES);
   for (const userConfig of GITHUB_USERNAMES) {
     const { username } = userConfig;
+    useGitHubSource(userConfig.source || DEFAULT_SOURCE);
     console.log(`\n==== Discovering repositories for user: ${username} ====`);
+    await initDiagnostics(username, OUTPUT_DIR);
+    const identities = getAuthorIdentities(userConfig);
+    const repoRules = compileRepoRules(REPO_RULES, userConfig.repo_rules);
     for (const period of PERIODS) {
-      await discoverRepositoriesForPeriod(username, period);
+      await discoverRepositoriesForPeriod(username, period, {
+        identities,
+        chunkSize,
+        repoRules,
+      });
     }
   }
   console.log("\nRepository discovery complete for all users and periods.");
@@ -1,28 +1,94 @@
 import path from "path";
 import fs from "fs/promises";
 import { OUTPUT_DIR, DEFAULT_PARAMETERS_FILE, getUserDirs } from "./config.js";
-import { testGitHubAPI } from "./api/github.js";
-import { initDirs, fetchCommits } from "./data/fetch.js";
-import { initDiagnostics } from "./utils/diagnostics.js";
+import { loadParameters } from "./parameters.js";
+import {
+  testGitHubAPI,
+  httpCache,
+  configureGitHubSources,
+  configureScheduler,
+  useGitHubSource,
+  DEFAULT_SOURCE,
+} from "./api/github.js";
+import { configureRetryPolicy } from "./api/retry.js";
+import { initDirs, fetchCommits, FETCH_MODES } from "./data/fetch.js";
+import { getAuthorIdentities } from "./data/identities.js";
+import {
+  initDiagnostics,
+  saveBotCommitDiagnostics,
+} from "./utils/diagnostics.js";
+import { compileFileClassifier } from "../core/data/file-classification.js";
+import { compileRepoRules } from "../core/data/repo-rules.js";
+import { compileBotRules, tagBotCommits } from "../core/data/bot-detection.js";
 
-async function loadParameters(paramFile) {
-  try {
-    const data = await fs.readFile(paramFile, "utf8");
-    return JSON.parse(data);
-  } catch (error) {
+function createFetchOptions(parameters, modeOverride) {
+  const fetchConfig = parameters.FETCH_OPTIONS || {};
+  const mode = modeOverride || fetchConfig.mode || "rest";
+  if (!FETCH_MODES.includes(mode)) {
     console.error(
-      `Error loading parameters from ${paramFile}: ${error.message}`
+      `Unknown fetch mode "${mode}" (expected ${FETCH_MODES.join(", ")})`
     );
     process.exit(1);
   }
+  return {
+    allBranches: fetchConfig.all_branches ?? true,
+    checkpoints: fetchConfig.checkpoints ?? true,
+    mode,
+    fileDetails: fetchConfig.graphql_file_details ?? true,
+    fileClassifier: compileFileClassifier(
+      parameters.FILE_CLASSIFICATION,
+      parameters.LOC_EXCLUSIONS
+    ),
+  };
 }
 
-async function processUserPeriods(userConfig, periods) {
+async function reportBotCommits(username, period, commits, botRules) {
+  const botCommits = tagBotCommits(commits, botRules).filter(
+    (commit) => commit.isBot
+  );
+  const bySignal = {};
+  botCommits.forEach((commit) =>
+    commit.botSignals.forEach((signal) => {
+      bySignal[signal] = (bySignal[signal] || 0) + 1;
+    })
+  );
+  console.log(
+    `  Bot commits: ${botCommits.length} (excluded from metrics unless BOT_DETECTION.exclude is false)`
+  );
+  await saveBotCommitDiagnostics(
+    {
+      username,
+      period: {
+        name: period.name,
+        startDate: period.start,
+        endDate: period.end,
+      },
+      totalCommits: commits.length,
+      botCommits: botCommits.map((commit) => ({
+        repo: commit.repo,
+        sha: commit.sha,
+        subject: commit.subject,
+        authorName: commit.authorName,
+        authorEmail: commit.authorEmail,
+        signals: commit.botSignals,
+      })),
+      bySignal,
+      timestamp: new Date().toISOString(),
+    },
+    period.name
+  );
+}
+
+async function processUserPeriods(userConfig, periods, fetchOptions, botRules) {
   const { username } = userConfig;
   console.log(`\n==== Processing data for user: ${username} ====`);
   const { outputDir, rawDir } = getUserDirs(username);
   await initDirs(outputDir, rawDir);
   await initDiagnostics(username, OUTPUT_DIR);
+  const userFetchOptions = {
+    ...fetchOptions,
+    identities: getAuthorIdentities(userConfig),
+  };
   for (const period of periods) {
     console.log(`Processing ${period.name} for ${username}...`);
     const jsonPath = path.join(
@@ -34,7 +100,8 @@ async function processUserPeriods(userConfig, periods) {
       period.start,
       period.end,
       jsonPath,
-      period.name
+      period.name,
+      userFetchOptions
     );
     const totalRepos = Object.keys(repoMetadata).length;
     const privateRepos = Object.values(repoMetadata).filter(
@@ -47,14 +114,33 @@ async function processUserPeriods(userConfig, periods) {
     console.log(`  Total repositories: ${totalRepos}`);
     console.log(`  Private repositories: ${privateRepos}`);
     console.log(`  Fork repositories: ${forkRepos}`);
+    await reportBotCommits(username, period, commits, botRules);
   }
 }
 
 async function main() {
   const args = process.argv.slice(2);
-  const parameterFile = args[0] || DEFAULT_PARAMETERS_FILE;
+  const parameterFile =
+    args.find((arg) => !arg.startsWith("--")) || DEFAULT_PARAMETERS_FILE;
+  const modeArg = args.find((arg) => arg.startsWith("--mode="));
   console.log(`Loading parameters from: ${parameterFile}`);
-  const { PERIODS, GITHUB_USERNAMES } = await loadParameters(parameterFile);
+  const parameters = await loadParameters(parameterFile);
+  const { PERIODS, GITHUB_USERNAMES } = parameters;
+  const fetchOptions = createFetchOptions(
+    parameters,
+    modeArg ? modeArg.slice("--mode=".length) : null
+  );
+  const botRules = compileBotRules(parameters.BOT_DETECTION);
+  configureGitHubSources(parameters.GITHUB_SOURCES);
+  configureScheduler({
+    concurrency: parameters.FETCH_OPTIONS?.concurrency,
+  });
+  configureRetryPolicy(parameters.FETCH_OPTIONS?.retry);
+  httpCache.configure({
+    enabled:
+      !args.includes("--no-cache") &&
+      parameters.FETCH_OPTIONS?.http_cache !== false,
+  });
   if (
     !GITHUB_USERNAMES ||
     !Array.isArray(GITHUB_USERNAMES) ||
@@ -78,24 +164,43 @@ async function main() {
   await initDirs(OUTPUT_DIR);
   await initDirs(OUTPUT_DIR);
 
-  // Test API once before processing all users
-  const firstUser = GITHUB_USERNAMES[0].username;
-  const apiWorking = await testGitHubAPI(firstUser);
-  if (!apiWorking) {
-    console.error(
-      `GitHub API test failed. Please check your token and permissions.`
-    );
-    return;
-  }
-
+  // Test API once per source before processing its users
+  const apiWorkingBySource = new Map();
   for (const userConfig of GITHUB_USERNAMES) {
     const { username } = userConfig;
+    const source = userConfig.source || DEFAULT_SOURCE;
+    useGitHubSource(source);
+    if (!apiWorkingBySource.has(source)) {
+      console.log(`\nUsing GitHub source: ${source}`);
+      apiWorkingBySource.set(source, await testGitHubAPI(username));
+    }
+    if (!apiWorkingBySource.get(source)) {
+      console.error(
+        `GitHub API test failed for source ${source}. Please check your token and permissions. Skipping ${username}.`
+      );
+      continue;
+    }
     const { outputDir } = getUserDirs(username);
     const repoListsDir = path.join(outputDir, "repo_lists");
     await fs.mkdir(repoListsDir, { recursive: true });
     
-    await processUserPeriods(userConfig, PERIODS);
+    await processUserPeriods(
+      userConfig,
+      PERIODS,
+      {
+        ...fetchOptions,
+        repoRules: compileRepoRules(
+          parameters.REPO_RULES,
+          userConfig.repo_rules
+        ),
+      },
+      botRules
+    );
   }
+  const { hits, revalidated, misses } = httpCache.getStats();
+  console.log(
+    `\nHTTP cache: ${hits} hits, ${revalidated} revalidated (304), ${misses} requests`
+  );
   console.log("\nProcessing complete for all users.");
 }
 
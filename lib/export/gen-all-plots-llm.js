@@ -1,5 +1,9 @@
 import { formatNumber } from "../../core/utils/format.js";
 import { createNodePeriodDataManager } from "../../core/data/pdm-node.js";
+import { compileAiRules } from "../../core/data/ai-detection.js";
+import { compileBotRules } from "../../core/data/bot-detection.js";
+import { createCommitFilter } from "../../core/data/commit-filter.js";
+import { compileFileClassifier } from "../../core/data/file-classification.js";
 import {
   formatBoxPlotTable,
   formatHistogramTable,
@@ -7,6 +11,7 @@ import {
 } from "./text-formatter.js";
 import fs from "fs/promises";
 import path from "path";
+import { readParameters } from "../parameters.js";
 
 function getTzConfig(userConfig, periodName, timeMode = "local") {
   if (timeMode === "local") {
@@ -105,6 +110,22 @@ function generateSessionMetricsTable(summaryData, periods) {
   return rows.join("\n");
 }
 
+function generateLocExclusionTable(summaryData, periods) {
+  const rows = [
+    "| Period | Counted LOC | Raw LOC | Excluded % |",
+    "|--------|-------------|---------|------------|",
+  ];
+  periods.forEach((period) => {
+    const { totalLoc, totalRawLoc } = summaryData[period];
+    rows.push(
+      `| ${period} | ${totalLoc} | ${totalRawLoc} | ${formatNumber(
+        totalRawLoc > 0 ? ((totalRawLoc - totalLoc) / totalRawLoc) * 100 : 0,
+      )}% |`,
+    );
+  });
+  return rows.join("\n");
+}
+
 function generateRepositoryEngagementTable(summaryData, periods) {
   const rows = [
     "| Period | Total Repos | >10 Commits | >40 Commits | >100 Commits | Repos/Day (Med) |",
@@ -160,6 +181,105 @@ function generateCommitCharacteristicsTable(summaryData, periods) {
   return rows.join("\n");
 }
 
+function generateMergeCommitTable(summaryData, periods) {
+  const rows = [
+    "| Period | Merges Found | Merge Policy | Merges Counted |",
+    "|--------|--------------|--------------|----------------|",
+  ];
+  periods.forEach((period) => {
+    const { merges } = summaryData[period];
+    rows.push(
+      `| ${period} | ${merges.found} | ${merges.policy} | ${merges.counted} |`,
+    );
+  });
+  return rows.join("\n");
+}
+
+function generateBotCommitTable(summaryData, periods) {
+  const rows = [
+    "| Period | Bot Commits Found | Excluded | Bot Commits Counted |",
+    "|--------|-------------------|----------|---------------------|",
+  ];
+  periods.forEach((period) => {
+    const { bots } = summaryData[period];
+    rows.push(
+      `| ${period} | ${bots.found} | ${bots.excluded ? "yes" : "no"} | ${
+        bots.counted
+      } |`,
+    );
+  });
+  return rows.join("\n");
+}
+
+function generateMissingFilesNote(summaryData, periods) {
+  const affected = periods.filter(
+    (period) => summaryData[period].commitsWithoutFiles > 0,
+  );
+  if (affected.length === 0) {
+    return "";
+  }
+  return `> **Incomplete file data:** ${affected
+    .map(
+      (period) =>
+        `${summaryData[period].commitsWithoutFiles} commits in ${period}`,
+    )
+    .join(
+      ", ",
+    )} have no per-file changes (fetched through GraphQL without file details). They are missing from the language and file category breakdowns, and LOC exclusions were not applied to them.\n\n`;
+}
+
+function generateAiAssistedTable(summaryData, periods) {
+  const rows = [
+    "| Period | AI-Tagged Commits | AI-Tagged % | LOC/Commit AI (Med) | LOC/Commit Untagged (Med) | Commits/Day AI (Med) | Commits/Day Untagged (Med) |",
+    "|--------|-------------------|-------------|---------------------|---------------------------|----------------------|----------------------------|",
+  ];
+  periods.forEach((period) => {
+    const data = summaryData[period];
+    const ai = data.aiAssisted;
+    rows.push(
+      `| ${period} | ${ai.taggedCommits} | ${formatNumber(
+        ai.taggedPercentage,
+      )}% | ${formatNumber(
+        ai.taggedLocPerCommitStats?.median,
+      )} | ${formatNumber(
+        ai.untaggedLocPerCommitStats?.median,
+      )} | ${formatNumber(ai.taggedCommitsStats?.median)} | ${formatNumber(
+        ai.untaggedCommitsStats?.median,
+      )} |`,
+    );
+  });
+  return rows.join("\n");
+}
+
+function generateFileBreakdownTable(summaryData, periods, key, label, limit) {
+  const totalsByPeriod = periods.map((period) => summaryData[period][key]);
+  const grandTotals = {};
+  totalsByPeriod.forEach((totals) =>
+    Object.entries(totals).forEach(([name, loc]) => {
+      grandTotals[name] = (grandTotals[name] || 0) + loc;
+    }),
+  );
+  const names = Object.entries(grandTotals)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, limit)
+    .map(([name]) => name);
+  const rows = [
+    `| ${label} | ${periods.map((p) => `${p} LOC | ${p} %`).join(" | ")} |`,
+    `|${"---|".repeat(periods.length * 2 + 1)}`,
+  ];
+  names.forEach((name) => {
+    const cells = totalsByPeriod.map((totals) => {
+      const periodTotal = Object.values(totals).reduce((a, b) => a + b, 0);
+      const loc = totals[name] || 0;
+      return `${loc} | ${formatNumber(
+        periodTotal > 0 ? (loc / periodTotal) * 100 : 0,
+      )}%`;
+    });
+    rows.push(`| ${name} | ${cells.join(" | ")} |`);
+  });
+  return rows.join("\n");
+}
+
 function generateHourlyDistributionTable(summaryData, periods) {
   const rows = ["| Period |"];
   for (let hour = 0; hour < 24; hour++) {
@@ -191,6 +311,11 @@ function generateMarkdownReport(periodsData, summaryData, periodConfigs) {
   markdown += "### Commits by Hour of Day\n\n";
   markdown += formatHistogramTable(periodsData, "commits_by_hour_of_day");
   markdown += "\n";
+  markdown += "## AI-Assisted Work\n\n";
+  markdown +=
+    "Commits are tagged as AI-assisted from Co-authored-by trailers, agent bot identities and message markers.\n\n";
+  markdown += generateAiAssistedTable(summaryData, periods);
+  markdown += "\n\n";
   markdown += "## Repository Analysis\n\n";
   markdown += "### Repository Activity\n\n";
   markdown += formatBoxPlotTable(periodsData, "repos");
@@ -207,6 +332,10 @@ function generateMarkdownReport(periodsData, summaryData, periodConfigs) {
   markdown += "### Lines of Code per Day\n\n";
   markdown += formatBoxPlotTable(periodsData, "loc");
   markdown += "\n";
+  markdown +=
+    "Lockfiles, generated, vendored and snapshot files are excluded from LOC metrics; raw totals are shown for comparison.\n\n";
+  markdown += generateLocExclusionTable(summaryData, periods);
+  markdown += "\n\n";
   markdown += "## Commit Characteristics\n\n";
   markdown += "### Lines per Commit\n\n";
   markdown += formatBoxPlotTable(periodsData, "loc_per_commit");
@@ -216,6 +345,36 @@ function generateMarkdownReport(periodsData, summaryData, periodConfigs) {
   markdown += "\n";
   markdown += generateCommitCharacteristicsTable(summaryData, periods);
   markdown += "\n\n";
+  markdown += "### Merge Commits\n\n";
+  markdown += generateMergeCommitTable(summaryData, periods);
+  markdown += "\n\n";
+  markdown += "### Bot and Automation Commits\n\n";
+  markdown += generateBotCommitTable(summaryData, periods);
+  markdown += "\n\n";
+  markdown += "## File Types and Languages\n\n";
+  markdown += generateMissingFilesNote(summaryData, periods);
+  markdown += "### Files Touched per Day\n\n";
+  markdown += formatBoxPlotTable(periodsData, "files_per_day");
+  markdown += "\n";
+  markdown += "### Lines Changed by Language\n\n";
+  markdown +=
+    "Counted LOC only: files under the LOC exclusions, such as lockfiles, are left out.\n\n";
+  markdown += generateFileBreakdownTable(
+    summaryData,
+    periods,
+    "locByLanguage",
+    "Language",
+    15,
+  );
+  markdown += "\n\n";
+  markdown += "### Share of Work by File Category\n\n";
+  markdown += generateFileBreakdownTable(
+    summaryData,
+    periods,
+    "locByFileCategory",
+    "Category",
+  );
+  markdown += "\n\n";
   markdown += "## Session Analysis\n\n";
   markdown += generateSessionMetricsTable(summaryData, periods);
   markdown += "\n\n";
@@ -277,18 +436,18 @@ export async function generateUserLlmReport(
   userConfig,
   periodConfigs,
   outputPath,
+  options = {},
 ) {
+  const aiRules = options.aiRules || compileAiRules();
+  const fileClassifier = options.fileClassifier || compileFileClassifier();
+  const commitFilter = createCommitFilter(options.commitFilter);
+  const mergePolicy = options.mergePolicy || "include";
+  const botRules = options.botRules || compileBotRules();
+  const excludeBots = options.excludeBots ?? true;
   const periods = ["Pre-AI", "Recent-AI"];
   const periodsData = [];
   const summaryData = {};
   const dataDir = path.join(process.cwd(), "data", username, "raw");
-  const codeOnlyFilter = (commit) => {
-    const isWebsiteDocCommit =
-      commit.isDocOnly &&
-      commit.repo &&
-      commit.repo.endsWith("/www.cyberchitta.cc");
-    return !isWebsiteDocCommit;
-  };
   const dataManager = createNodePeriodDataManager(dataDir, userConfig);
   for (const period of periods) {
     try {
@@ -303,9 +462,16 @@ export async function generateUserLlmReport(
         p.start,
         p.end,
         tzConfig,
-        codeOnlyFilter,
+        commitFilter,
+        { aiRules, fileClassifier, mergePolicy, botRules, excludeBots },
       );
       const vizData = builder.build();
+      const aiTagged = builder
+        .withFacets({ aiAssisted: true })
+        .buildFilterable();
+      const untagged = builder
+        .withFacets({ aiAssisted: false })
+        .buildFilterable();
       periodsData.push({
         period,
         metrics: vizData,
@@ -316,6 +482,8 @@ export async function generateUserLlmReport(
         totalCommits: vizData.summary.total_commits,
         sessionThreshold: vizData.summary.session_threshold_minutes,
         totalRepos: vizData.summary.total_repositories,
+        totalLoc: vizData.summary.total_lines_changed,
+        totalRawLoc: vizData.summary.total_lines_changed_raw,
         repoStats: calculateRepoCommitStats(vizData.repo_commit_distribution),
         hourlyPercentages: calculateHourlyPercentages(
           vizData.commits_by_hour_of_day,
@@ -339,6 +507,28 @@ export async function generateUserLlmReport(
         allIntervalsStats: vizData.summary.all_commit_intervals_stats,
         repoCommitDistributionStats:
           vizData.summary.repo_commit_distribution_stats,
+        merges: {
+          found: vizData.summary.merge_commits_found,
+          policy: vizData.summary.merge_policy,
+          counted: vizData.summary.merge_commits,
+        },
+        bots: {
+          found: vizData.summary.bot_commits_found,
+          excluded: vizData.summary.bots_excluded,
+          counted: vizData.summary.bot_commits,
+        },
+        commitsWithoutFiles: vizData.summary.commits_without_files,
+        filesPerDayStats: vizData.summary.files_per_day_stats,
+        locByLanguage: vizData.summary.loc_by_language_totals,
+        locByFileCategory: vizData.summary.file_category_totals,
+        aiAssisted: {
+          taggedCommits: vizData.summary.ai_assisted_commits,
+          taggedPercentage: vizData.summary.ai_assisted_percentage,
+          taggedLocPerCommitStats: aiTagged.summary.loc_per_commit_stats,
+          untaggedLocPerCommitStats: untagged.summary.loc_per_commit_stats,
+          taggedCommitsStats: aiTagged.summary.commits_stats,
+          untaggedCommitsStats: untagged.summary.commits_stats,
+        },
       };
       console.log(
         `  ✓ ${period} processed: ${vizData.GLOBAL_COMMITS.length} commits`,
@@ -365,16 +555,30 @@ async function generateAllPlotsReport() {
   const parametersPath = path.join(process.cwd(), "data/parameters.json");
   let periodConfigs = [];
   let userConfig = {};
+  let aiRules = compileAiRules();
+  let fileClassifier = compileFileClassifier();
+  let commitFilter;
+  let mergePolicy;
+  let botRules = compileBotRules();
+  let excludeBots;
   try {
-    const parametersContent = await fs.readFile(parametersPath, "utf8");
-    const parameters = JSON.parse(parametersContent);
+    const { parameters } = await readParameters(parametersPath);
     periodConfigs = parameters.PERIODS || [];
     userConfig =
       parameters.GITHUB_USERNAMES.find((u) => u.username === "restlessronin") ||
       {};
+    aiRules = compileAiRules(parameters.AI_DETECTION);
+    fileClassifier = compileFileClassifier(
+      parameters.FILE_CLASSIFICATION,
+      parameters.LOC_EXCLUSIONS,
+    );
+    commitFilter = parameters.COMMIT_FILTER;
+    mergePolicy = parameters.MERGE_POLICY;
+    botRules = compileBotRules(parameters.BOT_DETECTION);
+    excludeBots = parameters.BOT_DETECTION?.exclude;
     console.log("Loaded configurations from parameters.json");
   } catch (error) {
-    console.error("Error loading parameters.json:", error);
+    console.error(`Error loading parameters.json: ${error.message}`);
     periodConfigs = [
       { name: "Pre-AI", start: "2022-06-01", end: "2022-11-30" },
       { name: "Recent-AI", start: "2024-11-01", end: "2025-04-30" },
@@ -389,6 +593,14 @@ async function generateAllPlotsReport() {
     userConfig,
     periodConfigs,
     outputPath,
+    {
+      aiRules,
+      fileClassifier,
+      commitFilter,
+      mergePolicy,
+      botRules,
+      excludeBots,
+    },
   );
   console.log(`\nComplete analysis report written to: ${outputPath}`);
 }
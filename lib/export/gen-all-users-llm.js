@@ -1,6 +1,10 @@
 import { generateUserLlmReport } from "./gen-all-plots-llm.js";
+import { compileAiRules } from "../../core/data/ai-detection.js";
+import { compileBotRules } from "../../core/data/bot-detection.js";
+import { compileFileClassifier } from "../../core/data/file-classification.js";
 import fs from "fs/promises";
 import path from "path";
+import { loadParameters } from "../parameters.js";
 
 async function fileExists(path) {
   try {
@@ -23,8 +27,7 @@ async function loadWebPublishConfig() {
 async function generateAllUsersReports() {
   console.log("📊 Generating LLM reports for all users...\n");
   const parametersPath = path.join(process.cwd(), "data/parameters.json");
-  const parametersContent = await fs.readFile(parametersPath, "utf8");
-  const parameters = JSON.parse(parametersContent);
+  const parameters = await loadParameters(parametersPath);
   const publishConfig = await loadWebPublishConfig();
   let usersToProcess = parameters.GITHUB_USERNAMES;
   if (publishConfig && publishConfig.usernames) {
@@ -34,6 +37,17 @@ async function generateAllUsersReports() {
   } else {
     console.log("📋 No web-publish.json found - processing all users\n");
   }
+  const reportOptions = {
+    aiRules: compileAiRules(parameters.AI_DETECTION),
+    fileClassifier: compileFileClassifier(
+      parameters.FILE_CLASSIFICATION,
+      parameters.LOC_EXCLUSIONS
+    ),
+    commitFilter: parameters.COMMIT_FILTER,
+    mergePolicy: parameters.MERGE_POLICY,
+    botRules: compileBotRules(parameters.BOT_DETECTION),
+    excludeBots: parameters.BOT_DETECTION?.exclude,
+  };
   const outputDir = path.join(process.cwd(), "llm-dist");
   await fs.mkdir(outputDir, { recursive: true });
   const results = {
@@ -52,7 +66,8 @@ async function generateAllUsersReports() {
         username,
         userConfig,
         parameters.PERIODS,
-        outputPath
+        outputPath,
+        reportOptions
       );
       if (success) {
         results.success.push(username);
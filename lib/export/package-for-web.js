@@ -1,6 +1,7 @@
 import { readFile, writeFile, mkdir, copyFile, access } from "node:fs/promises";
 import { join, dirname } from "node:path";
 import { fileURLToPath } from "node:url";
+import { loadParameters } from "../parameters.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const projectRoot = join(__dirname, "../..");
@@ -58,12 +59,29 @@ async function cleanParametersForWeb(parameters, publishConfig) {
     const usernameSet = new Set(publishConfig.usernames);
     users = users.filter((user) => usernameSet.has(user.username));
   }
-  return {
+  const cleaned = {
+    VERSION: parameters.VERSION,
     PERIODS: parameters.PERIODS,
     GITHUB_USERNAMES: users
       .map(cleanUserConfig)
       .sort((a, b) => a.username.localeCompare(b.username)),
   };
+  if (parameters.FILE_CLASSIFICATION) {
+    cleaned.FILE_CLASSIFICATION = parameters.FILE_CLASSIFICATION;
+  }
+  if (parameters.LOC_EXCLUSIONS) {
+    cleaned.LOC_EXCLUSIONS = parameters.LOC_EXCLUSIONS;
+  }
+  if (parameters.MERGE_POLICY) {
+    cleaned.MERGE_POLICY = parameters.MERGE_POLICY;
+  }
+  if (parameters.COMMIT_FILTER) {
+    cleaned.COMMIT_FILTER = parameters.COMMIT_FILTER;
+  }
+  if (parameters.BOT_DETECTION) {
+    cleaned.BOT_DETECTION = parameters.BOT_DETECTION;
+  }
+  return cleaned;
 }
 
 async function packageForWeb() {
@@ -79,8 +97,9 @@ async function packageForWeb() {
     console.log("📋 No web-publish.json found - packaging all users\n");
   }
   const parametersPath = join(dataDir, "parameters.json");
-  const parametersText = await readFile(parametersPath, "utf-8");
-  const parameters = JSON.parse(parametersText);
+  const parameters = await loadParameters(parametersPath, {
+    applyDefaults: false,
+  });
   await ensureDir(outputDir);
   const cleanedParameters = await cleanParametersForWeb(
     parameters,
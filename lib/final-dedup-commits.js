@@ -1,20 +1,13 @@
 import fs from "fs/promises";
 import path from "path";
 import { createNodePeriodDataManager } from "../core/data/pdm-node.js";
+import {
+  findDuplicateCommitGroups,
+  getDefaultRepoPrecedence,
+} from "../core/data/duplicate-commits.js";
 import { groupBy } from "../core/utils/array.js";
 import { DEFAULT_PARAMETERS_FILE } from "../lib/config.js";
-
-async function loadParameters(paramFile) {
-  try {
-    const data = await fs.readFile(paramFile, "utf8");
-    return JSON.parse(data);
-  } catch (error) {
-    console.error(
-      `Error loading parameters from ${paramFile}: ${error.message}`
-    );
-    process.exit(1);
-  }
-}
+import { loadParameters } from "./parameters.js";
 
 async function loadDedupRepoSets(username, period) {
   const dedupPath = `./data/${username}/dedup-repo-sets-${period.name.replace(
@@ -26,7 +19,7 @@ async function loadDedupRepoSets(username, period) {
     const repoSets = content
       .trim()
       .split("\n")
-      .filter((line) => line.trim())
+      .filter((line) => line.trim() && !line.trim().startsWith("#"))
       .map((line) => line.split(",").map((repo) => repo.trim()));
     console.log(
       `  Loaded ${repoSets.length} dedup repo sets from ${dedupPath}`
@@ -48,17 +41,24 @@ function createPrecedenceMap(repoSets) {
   return precedenceMap;
 }
 
-function selectHighestPrecedenceCommit(commitGroup, precedenceMap) {
-  let bestCommit = commitGroup[0];
-  let bestPrecedence = precedenceMap.get(bestCommit.repo) ?? Infinity;
-  for (const commit of commitGroup) {
-    const precedence = precedenceMap.get(commit.repo) ?? Infinity;
-    if (precedence < bestPrecedence) {
-      bestCommit = commit;
-      bestPrecedence = precedence;
-    }
-  }
-  return bestCommit;
+function isConfirmedRepoSet(repos, repoSets) {
+  return repoSets.some((repoSet) =>
+    repos.every((repo) => repoSet.includes(repo))
+  );
+}
+
+function selectHighestPrecedenceRepo(repos, precedenceMap, defaultOrder) {
+  const rank = (repo) => [
+    precedenceMap.get(repo) ?? Infinity,
+    defaultOrder.indexOf(repo),
+  ];
+  return [...repos].sort((a, b) => {
+    const [explicitA, defaultA] = rank(a);
+    const [explicitB, defaultB] = rank(b);
+    return explicitA !== explicitB
+      ? explicitA - explicitB
+      : defaultA - defaultB;
+  })[0];
 }
 
 async function hasBackupFiles(username, period) {
@@ -109,15 +109,22 @@ function filterRepoMetadata(originalMetadata, remainingRepos) {
   return filteredMetadata;
 }
 
-async function dedupCommitsForPeriod(username, period, userConfig) {
+async function dedupCommitsForPeriod(
+  username,
+  period,
+  userConfig,
+  { minConfidence, autoRemove }
+) {
   console.log(`\nProcessing ${username} - ${period.name}...`);
   if (await hasBackupFiles(username, period)) {
     console.log(`  Backup files already exist, skipping...`);
     return;
   }
   const repoSets = await loadDedupRepoSets(username, period);
-  if (repoSets.length === 0) {
-    console.log(`  No dedup rules found, skipping...`);
+  if (repoSets.length === 0 && !autoRemove) {
+    console.log(
+      `  No dedup rules found, skipping (set DEDUP_OPTIONS.auto_remove to remove duplicates without listing their repos)`
+    );
     return;
   }
   const dataManager = createNodePeriodDataManager(
@@ -129,62 +136,61 @@ async function dedupCommitsForPeriod(username, period, userConfig) {
       await dataManager.loadPeriodData(period.name);
     console.log(`  Loaded ${commits.length} commits`);
     const precedenceMap = createPrecedenceMap(repoSets);
-    console.log(`  Created precedence map for ${precedenceMap.size} repos`);
-    const commitsByTimestamp = groupBy(commits, (commit) => commit.timestamp);
-    let duplicateGroups = 0;
-    let removedCommits = 0;
-    const dedupedCommits = [];
-    for (const [timestamp, commitGroup] of Object.entries(commitsByTimestamp)) {
-      if (commitGroup.length > 1) {
-        const duplicateRepoCommits = commitGroup.filter((c) =>
-          precedenceMap.has(c.repo)
-        );
-        const unrelatedCommits = commitGroup.filter(
-          (c) => !precedenceMap.has(c.repo)
-        );
-        if (duplicateRepoCommits.length > 1) {
-          if (unrelatedCommits.length > 0) {
-            console.warn(
-              `    WARNING: Timestamp ${timestamp} has ${duplicateRepoCommits.length} duplicate commits ` +
-                `and ${unrelatedCommits.length} unrelated commits - this is unexpected!`
-            );
-            console.warn(
-              `      Duplicate repos: ${duplicateRepoCommits
-                .map((c) => c.repo)
-                .join(", ")}`
-            );
-            console.warn(
-              `      Unrelated repos: ${unrelatedCommits
-                .map((c) => c.repo)
-                .join(", ")}`
-            );
-          }
-          const selectedCommit = selectHighestPrecedenceCommit(
-            duplicateRepoCommits,
-            precedenceMap
-          );
-          dedupedCommits.push(selectedCommit, ...unrelatedCommits);
-          duplicateGroups++;
-          removedCommits += duplicateRepoCommits.length - 1;
-          const keptRepos = [
-            selectedCommit.repo,
-            ...unrelatedCommits.map((c) => c.repo),
-          ].join(", ");
-          const removedRepos = duplicateRepoCommits
-            .filter((c) => c.repo !== selectedCommit.repo)
-            .map((c) => c.repo)
-            .join(", ");
-          console.log(
-            `    Timestamp ${timestamp}: kept [${keptRepos}], removed [${removedRepos}]`
-          );
-        } else {
-          dedupedCommits.push(...commitGroup);
-        }
-      } else {
-        dedupedCommits.push(commitGroup[0]);
+    console.log(
+      precedenceMap.size > 0
+        ? `  Created precedence map for ${precedenceMap.size} repos`
+        : `  No dedup rules found, removing all duplicates by default precedence`
+    );
+    const commitCounts = Object.fromEntries(
+      Object.entries(groupBy(commits, "repo")).map(([repo, repoCommits]) => [
+        repo,
+        repoCommits.length,
+      ])
+    );
+    const defaultOrder = getDefaultRepoPrecedence(
+      Object.keys(commitCounts),
+      repoMetadata,
+      commitCounts
+    );
+    const duplicateGroups = findDuplicateCommitGroups(commits, {
+      minConfidence,
+    });
+    const removedShas = new Set();
+    let unconfirmedGroups = 0;
+    for (const group of duplicateGroups) {
+      if (!autoRemove && !isConfirmedRepoSet(group.repos, repoSets)) {
+        unconfirmedGroups++;
+        continue;
       }
+      const keptRepo = selectHighestPrecedenceRepo(
+        group.repos,
+        precedenceMap,
+        defaultOrder
+      );
+      const removed = group.commits.filter(
+        (commit) => commit.repo !== keptRepo
+      );
+      removed.forEach((commit) =>
+        removedShas.add(`${commit.repo}:${commit.sha}`)
+      );
+      console.log(
+        `    ${group.commits[0].sha.slice(0, 7)} (confidence ${
+          group.confidence
+        }, ${group.signals.join("+")}): kept [${keptRepo}], removed [${removed
+          .map((c) => c.repo)
+          .join(", ")}]`
+      );
+    }
+    const dedupedCommits = commits.filter(
+      (commit) => !removedShas.has(`${commit.repo}:${commit.sha}`)
+    );
+    const removedCommits = commits.length - dedupedCommits.length;
+    console.log(`  Found ${duplicateGroups.length} duplicate commit groups`);
+    if (unconfirmedGroups > 0) {
+      console.log(
+        `  Kept ${unconfirmedGroups} groups whose repos are not listed together in the dedup file`
+      );
     }
-    console.log(`  Found ${duplicateGroups} duplicate timestamp groups`);
     console.log(`  Removed ${removedCommits} duplicate commits`);
     console.log(`  Final commit count: ${dedupedCommits.length}`);
     if (removedCommits > 0) {
@@ -215,7 +221,8 @@ async function main() {
   const args = process.argv.slice(2);
   const parameterFile = args[0] || DEFAULT_PARAMETERS_FILE;
   console.log(`Loading parameters from: ${parameterFile}`);
-  const { PERIODS, GITHUB_USERNAMES } = await loadParameters(parameterFile);
+  const { PERIODS, GITHUB_USERNAMES, DEDUP_OPTIONS } =
+    await loadParameters(parameterFile);
   console.log(
     `Processing ${GITHUB_USERNAMES.length} users across ${PERIODS.length} periods`
   );
@@ -223,7 +230,10 @@ async function main() {
     const { username } = userConfig;
     console.log(`\n==== Processing user: ${username} ====`);
     for (const period of PERIODS) {
-      await dedupCommitsForPeriod(username, period, userConfig);
+      await dedupCommitsForPeriod(username, period, userConfig, {
+        minConfidence: DEDUP_OPTIONS?.min_confidence,
+        autoRemove: DEDUP_OPTIONS?.auto_remove,
+      });
     }
   }
   console.log("\nFinal deduplication complete for all users!");
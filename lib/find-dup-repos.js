@@ -1,41 +1,41 @@
 import fs from "fs/promises";
 import { createNodePeriodDataManager } from "../core/data/pdm-node.js";
+import {
+  findDuplicateCommitGroups,
+  getDefaultRepoPrecedence,
+} from "../core/data/duplicate-commits.js";
 import { groupBy } from "../core/utils/array.js";
 import { DEFAULT_PARAMETERS_FILE } from "../lib/config.js";
+import { loadParameters } from "./parameters.js";
 
-function createContentKey(commit) {
-  return commit.timestamp;
+function summarizeRepoSets(duplicateGroups) {
+  const repoSets = new Map();
+  duplicateGroups.forEach((group) => {
+    const key = group.repos.join(",");
+    const summary = repoSets.get(key) || {
+      repos: group.repos,
+      groups: 0,
+      minConfidence: 1,
+    };
+    summary.groups++;
+    summary.minConfidence = Math.min(summary.minConfidence, group.confidence);
+    repoSets.set(key, summary);
+  });
+  return repoSets;
 }
 
-async function loadParameters(paramFile) {
-  try {
-    const data = await fs.readFile(paramFile, "utf8");
-    return JSON.parse(data);
-  } catch (error) {
-    console.error(
-      `Error loading parameters from ${paramFile}: ${error.message}`
-    );
-    process.exit(1);
-  }
-}
-
-async function findDuplicateReposForPeriod(username, period) {
+async function findDuplicateReposForPeriod(username, period, minConfidence) {
   console.log(`\nAnalyzing ${username} - ${period.name}...`);
   const dataManager = createNodePeriodDataManager(`./data/${username}/raw`, {});
   try {
-    const { commits } = await dataManager.loadPeriodData(period.name);
-    const grouped = groupBy(commits, createContentKey);
-    const duplicateRepoSets = new Set();
-    Object.values(grouped).forEach((commitGroup) => {
-      if (commitGroup.length > 1) {
-        const repos = [...new Set(commitGroup.map((c) => c.repo))];
-        if (repos.length > 1) {
-          const sortedRepos = repos.sort().join(",");
-          duplicateRepoSets.add(sortedRepos);
-        }
-      }
+    const { commits, repoMetadata } = await dataManager.loadPeriodData(
+      period.name
+    );
+    const duplicateGroups = findDuplicateCommitGroups(commits, {
+      minConfidence,
     });
-    const uniqueRepoSets = Array.from(duplicateRepoSets).sort();
+    const repoSets = summarizeRepoSets(duplicateGroups);
+    const uniqueRepoSets = [...repoSets.keys()].sort();
     const duplicateOutputPath = `./data/${username}/duplicate-repo-sets-${period.name.replace(
       /\s+/g,
       "_"
@@ -44,6 +44,10 @@ async function findDuplicateReposForPeriod(username, period) {
       /\s+/g,
       "_"
     )}.txt`;
+    const groupsOutputPath = `./data/${username}/duplicate-commits-${period.name.replace(
+      /\s+/g,
+      "_"
+    )}.json`;
     if (uniqueRepoSets.length === 0) {
       console.log(`  No duplicates found`);
       try {
@@ -56,13 +60,43 @@ async function findDuplicateReposForPeriod(username, period) {
         console.log(`  Deleted old dedup file: ${dedupOutputPath}`);
       } catch (error) {
       }
+      try {
+        await fs.unlink(groupsOutputPath);
+      } catch (error) {
+      }
       return [];
     }
     await fs.writeFile(duplicateOutputPath, uniqueRepoSets.join("\n") + "\n");
-    console.log(`  Found ${uniqueRepoSets.length} unique duplicate repo sets`);
+    await fs.writeFile(
+      groupsOutputPath,
+      JSON.stringify(
+        duplicateGroups.map((group) => ({
+          repos: group.repos,
+          confidence: group.confidence,
+          signals: group.signals,
+          commits: group.commits.map(({ repo, sha, timestamp, subject }) => ({
+            repo,
+            sha,
+            timestamp,
+            subject,
+          })),
+        })),
+        null,
+        2
+      )
+    );
+    console.log(
+      `  Found ${duplicateGroups.length} duplicated commits in ${uniqueRepoSets.length} unique duplicate repo sets`
+    );
     console.log(`  Output: ${duplicateOutputPath}`);
+    console.log(`  Commit groups: ${groupsOutputPath}`);
     console.log(`  Preview:`);
-    uniqueRepoSets.slice(0, 3).forEach((set) => console.log(`    ${set}`));
+    uniqueRepoSets.slice(0, 3).forEach((set) => {
+      const { groups, minConfidence } = repoSets.get(set);
+      console.log(
+        `    ${set} (${groups} commits, confidence >= ${minConfidence})`
+      );
+    });
     if (uniqueRepoSets.length > 3) {
       console.log(`    ... and ${uniqueRepoSets.length - 3} more`);
     }
@@ -70,9 +104,31 @@ async function findDuplicateReposForPeriod(username, period) {
       await fs.access(dedupOutputPath);
       console.log(`  Dedup file already exists: ${dedupOutputPath}`);
     } catch (error) {
-      await fs.writeFile(dedupOutputPath, "");
-      console.log(`  Created empty dedup file: ${dedupOutputPath}`);
-      console.log(`  Edit this file to set precedence order (first = keep, rest = remove)`);
+      const commitCounts = Object.fromEntries(
+        Object.entries(groupBy(commits, "repo")).map(([repo, repoCommits]) => [
+          repo,
+          repoCommits.length,
+        ])
+      );
+      const precedenceLines = uniqueRepoSets.map((set) =>
+        getDefaultRepoPrecedence(
+          repoSets.get(set).repos,
+          repoMetadata,
+          commitCounts
+        ).join(",")
+      );
+      await fs.writeFile(
+        dedupOutputPath,
+        [
+          "# Suggested repo sets in default precedence: originals before forks, then older repos, then more commits",
+          "# Uncomment a line after checking its commits to deduplicate that set",
+          ...precedenceLines.map((line) => `# ${line}`),
+        ].join("\n") + "\n"
+      );
+      console.log(`  Created dedup file with suggestions: ${dedupOutputPath}`);
+      console.log(
+        `  Uncomment the repo sets to deduplicate (first = keep, rest = remove)`
+      );
     }
     return uniqueRepoSets;
   } catch (error) {
@@ -85,24 +141,17 @@ async function main() {
   const args = process.argv.slice(2);
   const parameterFile = args[0] || DEFAULT_PARAMETERS_FILE;
   console.log(`Loading parameters from: ${parameterFile}`);
-  const { PERIODS, GITHUB_USERNAMES } = await loadParameters(parameterFile);
-  if (
-    !GITHUB_USERNAMES ||
-    !Array.isArray(GITHUB_USERNAMES) ||
-    GITHUB_USERNAMES.length === 0
-  ) {
-    console.error("No GitHub users specified in parameters file.");
-    return;
-  }
-  if (!PERIODS || !Array.isArray(PERIODS) || PERIODS.length === 0) {
-    console.error("No periods specified in parameters file.");
-    return;
-  }
+  const { PERIODS, GITHUB_USERNAMES, DEDUP_OPTIONS } =
+    await loadParameters(parameterFile);
   for (const userConfig of GITHUB_USERNAMES) {
     const { username } = userConfig;
     console.log(`\n==== Processing user: ${username} ====`);
     for (const period of PERIODS) {
-      await findDuplicateReposForPeriod(username, period);
+      await findDuplicateReposForPeriod(
+        username,
+        period,
+        DEDUP_OPTIONS?.min_confidence
+      );
     }
   }
   console.log("\nDuplicate detection complete for all users!");
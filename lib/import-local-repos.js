@@ -0,0 +1,103 @@
+import { DEFAULT_PARAMETERS_FILE, getUserDirs } from "./config.js";
+import { loadParameters } from "./parameters.js";
+import { expandDateRange } from "../core/utils/date.js";
+import { createNodePeriodDataManager } from "../core/data/pdm-node.js";
+import { compileFileClassifier } from "../core/data/file-classification.js";
+import { fetchCommitsFromLocalRepos } from "./data/local-git.js";
+import { mergeCommitsBySha } from "../core/data/commit-object.js";
+
+async function loadExistingPeriodData(dataManager, periodName) {
+  const exists = await dataManager.periodExists(periodName);
+  if (!exists.commits) {
+    return { commits: [], repoMetadata: {}, fetchMetadata: null };
+  }
+  return await dataManager.loadPeriodData(periodName);
+}
+
+async function importLocalReposForPeriod(userConfig, period, fileClassifier) {
+  const { username } = userConfig;
+  const authors = userConfig.git_authors || [
+    username,
+    ...(userConfig.aliases?.emails || []),
+  ];
+  const { rawDir } = getUserDirs(username);
+  const dataManager = createNodePeriodDataManager(rawDir, userConfig);
+  const { expandedStartDate, expandedEndDate } = expandDateRange(
+    period.start,
+    period.end
+  );
+  console.log(
+    `\nImporting local commits for ${username} - ${period.name} (${expandedStartDate} to ${expandedEndDate})...`
+  );
+  const { commits: localCommits, repoMetadata: localMetadata } =
+    await fetchCommitsFromLocalRepos(
+      userConfig.local_repos,
+      authors,
+      expandedStartDate,
+      expandedEndDate,
+      fileClassifier,
+      userConfig.local_repos_private ?? null
+    );
+  const existing = await loadExistingPeriodData(dataManager, period.name);
+  const { merged, added } = mergeCommitsBySha(existing.commits, localCommits);
+  console.log(
+    `  ${added} new commits from local clones (${
+      localCommits.length - added
+    } already present)`
+  );
+  if (added === 0 && existing.commits.length > 0) {
+    console.log(`  No changes needed`);
+    return;
+  }
+  const fetchMetadata = existing.fetchMetadata
+    ? {
+        ...existing.fetchMetadata,
+        localImportTimestamp: new Date().toISOString(),
+      }
+    : {
+        fetchStartDate: expandedStartDate,
+        fetchEndDate: expandedEndDate,
+        originalStartDate: period.start,
+        originalEndDate: period.end,
+        fetchTimestamp: new Date().toISOString(),
+        source: "local",
+      };
+  await dataManager.savePeriodData(
+    period.name,
+    merged,
+    { ...localMetadata, ...existing.repoMetadata },
+    fetchMetadata
+  );
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const parameterFile = args[0] || DEFAULT_PARAMETERS_FILE;
+  console.log(`Loading parameters from: ${parameterFile}`);
+  const { PERIODS, GITHUB_USERNAMES, FILE_CLASSIFICATION, LOC_EXCLUSIONS } =
+    await loadParameters(parameterFile);
+  const fileClassifier = compileFileClassifier(
+    FILE_CLASSIFICATION,
+    LOC_EXCLUSIONS
+  );
+  const localUsers = GITHUB_USERNAMES.filter(
+    (user) => Array.isArray(user.local_repos) && user.local_repos.length > 0
+  );
+  if (localUsers.length === 0) {
+    console.error(
+      "No users with local_repos found in parameters file. Add a local_repos array of clone paths to a user entry."
+    );
+    return;
+  }
+  for (const userConfig of localUsers) {
+    console.log(
+      `\n==== Importing local repositories for: ${userConfig.username} ====`
+    );
+    for (const period of PERIODS) {
+      await importLocalReposForPeriod(userConfig, period, fileClassifier);
+    }
+  }
+  console.log("\nLocal import complete for all users.");
+}
+
+main().catch(console.error);
@@ -0,0 +1,80 @@
+import { HttpCache } from "./api/http-cache.js";
+
+const USAGE = `Usage: bun lib/manage-http-cache.js <command> [options]
+
+Commands:
+  stats                    Count entries and bytes on disk (default)
+  list [text]              List cached URLs, optionally only those containing text
+  purge [options]          Delete cached entries (all of them if no options)
+    --mutable              Only entries revalidated with ETags, keeping commit details
+    --older-than=<days>    Only entries stored more than <days> days ago
+    --match=<text>         Only entries whose URL contains text`;
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function getOption(args, name) {
+  const arg = args.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+async function showStats(cache) {
+  const entries = await cache.list();
+  const immutable = entries.filter((entry) => entry.immutable);
+  const totalBytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+  console.log(`HTTP cache at ${cache.dir}`);
+  console.log(`  Entries: ${entries.length}`);
+  console.log(`  Immutable (commit details): ${immutable.length}`);
+  console.log(`  Revalidated with ETags: ${entries.length - immutable.length}`);
+  console.log(`  Size on disk: ${formatBytes(totalBytes)}`);
+}
+
+async function listEntries(cache, match) {
+  const entries = (await cache.list())
+    .filter((entry) => !match || entry.url?.includes(match))
+    .sort((a, b) => (a.url || "").localeCompare(b.url || ""));
+  entries.forEach((entry) => {
+    console.log(
+      `${entry.storedAt || "?"}  ${entry.immutable ? "immutable" : "etag     "}  ${formatBytes(entry.bytes).padStart(9)}  ${entry.url || entry.file}`
+    );
+  });
+  console.log(`\n${entries.length} entries`);
+}
+
+async function purgeEntries(cache, args) {
+  const olderThanDays = getOption(args, "older-than");
+  if (olderThanDays !== null && Number.isNaN(Number(olderThanDays))) {
+    console.error(`Invalid --older-than value: ${olderThanDays}`);
+    process.exit(1);
+  }
+  const removed = await cache.purge({
+    mutableOnly: args.includes("--mutable"),
+    olderThanMs:
+      olderThanDays === null ? null : Number(olderThanDays) * 86400000,
+    match: getOption(args, "match"),
+  });
+  console.log(`Removed ${removed} entries from ${cache.dir}`);
+}
+
+async function main() {
+  const [command = "stats", ...args] = process.argv.slice(2);
+  const cache = new HttpCache();
+  switch (command) {
+    case "stats":
+      await showStats(cache);
+      break;
+    case "list":
+      await listEntries(cache, args[0]);
+      break;
+    case "purge":
+      await purgeEntries(cache, args);
+      break;
+    default:
+      console.log(USAGE);
+  }
+}
+
+main().catch(console.error);
@@ -0,0 +1,82 @@
+import fs from "fs/promises";
+import { DEFAULT_PARAMETERS_FILE } from "./config.js";
+import {
+  formatParameterIssues,
+  normalizeParameters,
+  parseParametersText,
+} from "../core/data/parameters.js";
+
+/**
+ * Read, migrate and validate a parameters file
+ * @param {string} paramFile - Path to parameters.json
+ * @param {Object} options - Normalization options
+ * @param {boolean} options.applyDefaults - Fill in schema defaults (default true)
+ * @returns {Promise<Object>} - { parameters, warnings, migration }
+ * @throws {Error} - If the file can't be read, parsed or fails validation; error.issues lists the validation errors
+ */
+export async function readParameters(
+  paramFile = DEFAULT_PARAMETERS_FILE,
+  options = {}
+) {
+  const text = await fs.readFile(paramFile, "utf8");
+  const { parameters, errors, warnings, migration } = normalizeParameters(
+    parseParametersText(text, paramFile),
+    options
+  );
+  if (errors.length > 0) {
+    const error = new Error(
+      `Invalid parameters:\n${formatParameterIssues(errors)}`
+    );
+    error.issues = errors;
+    throw error;
+  }
+  return { parameters, warnings, migration };
+}
+
+/**
+ * Load parameters for a CLI script, exiting with the problems if invalid
+ * Warnings and applied migrations are logged; the file itself is left
+ * untouched (run `bun run check-params -- --write` to upgrade it).
+ * @param {string} paramFile - Path to parameters.json
+ * @param {Object} options - Normalization options
+ * @param {boolean} options.applyDefaults - Fill in schema defaults (default true)
+ * @returns {Promise<Object>} - Migrated and validated parameters
+ */
+export async function loadParameters(
+  paramFile = DEFAULT_PARAMETERS_FILE,
+  options = {}
+) {
+  try {
+    const { parameters, warnings, migration } = await readParameters(
+      paramFile,
+      options
+    );
+    if (warnings.length > 0) {
+      console.warn(
+        `Warnings for ${paramFile}:\n${formatParameterIssues(warnings)}`
+      );
+    }
+    if (migration.applied.length > 0) {
+      console.log(
+        `Migrated ${paramFile} from version ${migration.from} in memory:\n${migration.applied
+          .map((step) => `  - ${step}`)
+          .join("\n")}`
+      );
+    }
+    return parameters;
+  } catch (error) {
+    console.error(
+      `Error loading parameters from ${paramFile}: ${error.message}`
+    );
+    process.exit(1);
+  }
+}
+
+/**
+ * Write parameters back to disk as formatted JSON
+ * @param {string} paramFile - Path to parameters.json
+ * @param {Object} params - Parameters, normally loaded without defaults
+ */
+export async function saveParameters(paramFile, params) {
+  await fs.writeFile(paramFile, `${JSON.stringify(params, null, 2)}\n`);
+}
@@ -0,0 +1,150 @@
+import { OUTPUT_DIR, DEFAULT_PARAMETERS_FILE, getUserDirs } from "./config.js";
+import { loadParameters } from "./parameters.js";
+import {
+  configureGitHubSources,
+  useGitHubSource,
+  DEFAULT_SOURCE,
+} from "./api/github.js";
+import { configureRetryPolicy } from "./api/retry.js";
+import { searchCommitsInRange } from "./api/queries.js";
+import { getAuthorIdentities, getSearchQualifier } from "./data/identities.js";
+import { getUtcMonth, reconcileCommits } from "./data/reconcile.js";
+import {
+  initDiagnostics,
+  saveReconciliationDiagnostics,
+} from "./utils/diagnostics.js";
+import { createNodePeriodDataManager } from "../core/data/pdm-node.js";
+import { splitIntoMonths } from "../core/utils/date.js";
+
+async function loadStoredCommits(userConfig, periodName) {
+  const { rawDir } = getUserDirs(userConfig.username);
+  const dataManager = createNodePeriodDataManager(rawDir, userConfig);
+  const exists = await dataManager.periodExists(periodName);
+  if (!exists.commits) {
+    return [];
+  }
+  const { commits } = await dataManager.loadPeriodData(periodName);
+  return commits;
+}
+
+async function searchPeriodCommits(identities, period) {
+  const commitsBySha = new Map();
+  const incompleteMonths = [];
+  for (const month of splitIntoMonths(period.start, period.end)) {
+    let incomplete = false;
+    for (const identity of identities) {
+      const result = await searchCommitsInRange(
+        getSearchQualifier(identity),
+        month.startDate,
+        month.endDate
+      );
+      result.commits.forEach((commit) => commitsBySha.set(commit.sha, commit));
+      incomplete = incomplete || result.incomplete;
+    }
+    console.log(
+      `  ${month.month}: ${
+        [...commitsBySha.values()].filter(
+          (commit) => getUtcMonth(commit.committerDate) === month.month
+        ).length
+      } commits in search${incomplete ? " (incomplete)" : ""}`
+    );
+    if (incomplete) {
+      incompleteMonths.push(month.month);
+    }
+  }
+  return { commits: [...commitsBySha.values()], incompleteMonths };
+}
+
+function printSummary(report) {
+  const { totals, byMonth, gaps } = report;
+  console.log(
+    `  Search: ${totals.search} commits, stored: ${totals.stored}, matched: ${totals.matched}, missing: ${totals.missing}`
+  );
+  if (totals.notInSearch > 0) {
+    console.log(
+      `  ${totals.notInSearch} stored commits are not in search (non-default branches, forks or unindexed repos)`
+    );
+  }
+  console.log(`\n  Month     Search  Stored  Missing`);
+  byMonth.forEach((row) => {
+    console.log(
+      `  ${row.month}  ${String(row.search).padStart(6)}  ${String(
+        row.stored
+      ).padStart(6)}  ${String(row.missing).padStart(7)}`
+    );
+  });
+  if (gaps.length === 0) {
+    console.log(`\n  ✓ Every commit found by search is stored`);
+    return;
+  }
+  console.log(`\n  Missing commits by repository and month:`);
+  [...gaps]
+    .sort((a, b) => b.missing - a.missing)
+    .forEach((row) => {
+      console.log(
+        `  - ${row.repo} ${row.month}: ${row.missing} of ${row.search} missing`
+      );
+    });
+}
+
+async function reconcilePeriod(userConfig, period) {
+  const { username } = userConfig;
+  console.log(
+    `\nReconciling ${username} - ${period.name} (${period.start} to ${period.end})...`
+  );
+  const identities = getAuthorIdentities(userConfig);
+  const storedCommits = await loadStoredCommits(userConfig, period.name);
+  if (storedCommits.length === 0) {
+    console.log(`  No stored commits for ${period.name}; run bun start first`);
+  }
+  const { commits: searchCommits, incompleteMonths } =
+    await searchPeriodCommits(identities, period);
+  const report = {
+    username,
+    period: { name: period.name, startDate: period.start, endDate: period.end },
+    identities: identities.map(({ value }) => value),
+    incompleteMonths,
+    ...reconcileCommits(searchCommits, storedCommits, period.start, period.end),
+    timestamp: new Date().toISOString(),
+  };
+  printSummary(report);
+  if (incompleteMonths.length > 0) {
+    console.log(
+      `  ⚠️ Search results were incomplete for ${incompleteMonths.join(", ")}`
+    );
+  }
+  await saveReconciliationDiagnostics(report, period.name);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const parameterFile =
+    args.find((arg) => !arg.startsWith("--")) || DEFAULT_PARAMETERS_FILE;
+  const periodArg = args.find((arg) => arg.startsWith("--period="));
+  console.log(`Loading parameters from: ${parameterFile}`);
+  const { PERIODS, GITHUB_USERNAMES, GITHUB_SOURCES, FETCH_OPTIONS } =
+    await loadParameters(parameterFile);
+  const periods = periodArg
+    ? PERIODS.filter(
+        (period) => period.name === periodArg.slice("--period=".length)
+      )
+    : PERIODS;
+  if (periods.length === 0) {
+    console.error(`No period named ${periodArg.slice("--period=".length)}`);
+    process.exit(1);
+  }
+  configureGitHubSources(GITHUB_SOURCES);
+  configureRetryPolicy(FETCH_OPTIONS?.retry);
+  for (const userConfig of GITHUB_USERNAMES) {
+    const { username } = userConfig;
+    useGitHubSource(userConfig.source || DEFAULT_SOURCE);
+    console.log(`\n==== Reconciling commits for user: ${username} ====`);
+    await initDiagnostics(username, OUTPUT_DIR);
+    for (const period of periods) {
+      await reconcilePeriod(userConfig, period);
+    }
+  }
+  console.log("\nReconciliation complete.");
+}
+
+main().catch(console.error);
@@ -1,29 +1,7 @@
-import fs from "fs/promises";
 import { inferCodingDayStart } from "../core/data/coding-day-inference.js";
 import { createNodePeriodDataManager } from "../core/data/pdm-node.js";
 import { DEFAULT_PARAMETERS_FILE, getUserDirs } from "./config.js";
-
-async function loadParameters(paramFile) {
-  try {
-    const data = await fs.readFile(paramFile, "utf8");
-    return JSON.parse(data);
-  } catch (error) {
-    console.error(
-      `Error loading parameters from ${paramFile}: ${error.message}`
-    );
-    process.exit(1);
-  }
-}
-
-async function saveParameters(paramFile, params) {
-  try {
-    await fs.writeFile(paramFile, JSON.stringify(params, null, 2));
-    console.log(`Parameters updated in ${paramFile}`);
-  } catch (error) {
-    console.error(`Error saving parameters to ${paramFile}: ${error.message}`);
-    process.exit(1);
-  }
-}
+import { loadParameters, saveParameters } from "./parameters.js";
 
 async function loadCommitsForPeriod(username, period) {
   const { rawDir } = getUserDirs(username);
@@ -141,15 +119,8 @@ async function main() {
   const parameterFile = args[0] || DEFAULT_PARAMETERS_FILE;
   const forceUpdate = args.includes("--force");
   console.log(`Loading parameters from: ${parameterFile}`);
-  const params = await loadParameters(parameterFile);
-  if (!params.GITHUB_USERNAMES || !Array.isArray(params.GITHUB_USERNAMES)) {
-    console.error("No GITHUB_USERNAMES found in parameters");
-    return;
-  }
-  if (!params.PERIODS || !Array.isArray(params.PERIODS)) {
-    console.error("No PERIODS found in parameters");
-    return;
-  }
+  // Defaults are left out so that only the user's own settings are saved
+  const params = await loadParameters(parameterFile, { applyDefaults: false });
   const threshold = params.DAY_BOUNDARY_THRESHOLD_HOURS ?? 1;
   console.log(`Using day boundary threshold: ${threshold} hour(s)`);
   if (params.LOCAL_DAY_BOUNDARY !== undefined) {
@@ -157,7 +128,6 @@ async function main() {
   }
   let updated = false;
   for (const user of params.GITHUB_USERNAMES) {
-    if (!user.username) continue;
     console.log(`\nProcessing ${user.username}...`);
     if (user.period_day_boundaries && !forceUpdate) {
       console.log(
@@ -203,7 +173,15 @@ async function main() {
     updated = true;
   }
   if (updated) {
-    await saveParameters(parameterFile, params);
+    try {
+      await saveParameters(parameterFile, params);
+      console.log(`Parameters updated in ${parameterFile}`);
+    } catch (error) {
+      console.error(
+        `Error saving parameters to ${parameterFile}: ${error.message}`
+      );
+      process.exit(1);
+    }
     console.log("\n✓ Day boundaries updated successfully!");
   } else {
     console.log("\nNo updates made.");
@@ -5,6 +5,24 @@ let diagnosticsEnabled = false;
 let diagnosticsDir = "";
 let currentUsername = "";
 
+const SUMMED_RETRIEVAL_FIELDS = [
+  "totalRepos",
+  "reposProcessed",
+  "reposWithCommits",
+  "reposWithAccessErrors",
+  "totalCommitsFound",
+  "commitsDeduplicated",
+  "commitsReplaced",
+  "commitsFromPrivateRepos",
+  "commitsFromForks",
+  "commitsWithoutFiles",
+];
+const PASS_RETRIEVAL_FIELDS = [
+  "expectedTotalCount",
+  "missingCommits",
+  "missingPercentage",
+];
+
 /**
  * Initialize diagnostics system
  * @param {string} username - GitHub username being processed
@@ -35,30 +53,276 @@ export async function saveRepoDiscoveryDiagnostics(data, periodName) {
   await fs.writeFile(filePath, JSON.stringify(data, null, 2));
 }
 
+/**
+ * Save how contribution activity was chunked and which chunks hit the repository cap
+ * @param {Object} data - Activity discovery diagnostics
+ * @param {string} periodName - Name of the period being processed
+ */
+export async function saveActivityDiscoveryDiagnostics(data, periodName) {
+  if (!diagnosticsEnabled) return;
+
+  const fileName = `activity_discovery_${periodName.replace(/ /g, "_")}.json`;
+  const filePath = path.join(diagnosticsDir, fileName);
+
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Save the repositories excluded by REPO_RULES and why
+ * @param {Object} data - { username, period, stage, excluded: [{ repo, rule, reason }] }
+ * @param {string} periodName - Name of the period being processed
+ */
+export async function saveRepoExclusionDiagnostics(data, periodName) {
+  if (!diagnosticsEnabled) return;
+
+  const fileName = `repo_exclusions_${data.stage}_${periodName.replace(
+    / /g,
+    "_"
+  )}.json`;
+  const filePath = path.join(diagnosticsDir, fileName);
+
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Read a diagnostics file written by an earlier fetch of the period
+ * @param {string} filePath - Path to the diagnostics file
+ * @returns {Promise<Object|Array|null>} - Parsed contents, or null if there are none
+ */
+async function readDiagnostics(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Widen a { startDate, endDate } period to cover another
+ * @param {Object} a - Period
+ * @param {Object} b - Period
+ * @returns {Object} - Period spanning both
+ */
+function widenPeriod(a, b) {
+  return {
+    startDate: a.startDate < b.startDate ? a.startDate : b.startDate,
+    endDate: a.endDate > b.endDate ? a.endDate : b.endDate,
+  };
+}
+
+/**
+ * Add up two { key: count } maps
+ * @param {Object} a - Counts
+ * @param {Object} b - Counts
+ * @returns {Object} - Summed counts
+ */
+function sumCounts(a = {}, b = {}) {
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])].reduce(
+    (sums, key) => ({ ...sums, [key]: (a[key] || 0) + (b[key] || 0) }),
+    {}
+  );
+}
+
+/**
+ * Merge the retrieval stats of a delta fetch into those of earlier fetches
+ * Counts are summed, per-repository stats are kept per fetched range, and
+ * the expected-count check of each range is listed under passes.
+ * @param {Object} existing - Stats saved for the period, possibly already merged
+ * @param {Object} stats - Stats of the delta fetch
+ * @returns {Object} - Combined stats
+ */
+function mergeRetrievalStats(existing, stats) {
+  const toPass = (entry) => ({
+    period: entry.period,
+    timestamp: entry.timestamp,
+    ...Object.fromEntries(
+      PASS_RETRIEVAL_FIELDS.filter((field) => field in entry).map((field) => [
+        field,
+        entry[field],
+      ])
+    ),
+  });
+  const withPeriod = (entry) =>
+    (entry.repoStats || []).map((repoStat) => ({
+      period: entry.period,
+      ...repoStat,
+    }));
+  const latest = Object.fromEntries(
+    Object.entries(stats).filter(
+      ([field]) => !PASS_RETRIEVAL_FIELDS.includes(field)
+    )
+  );
+  const commitsByAlias =
+    existing.commitsByAlias || stats.commitsByAlias
+      ? {
+          commitsByAlias: sumCounts(
+            existing.commitsByAlias,
+            stats.commitsByAlias
+          ),
+        }
+      : {};
+  return {
+    ...latest,
+    period: widenPeriod(existing.period, stats.period),
+    ...Object.fromEntries(
+      SUMMED_RETRIEVAL_FIELDS.map((field) => [
+        field,
+        (existing[field] || 0) + (stats[field] || 0),
+      ])
+    ),
+    ...commitsByAlias,
+    repoStats: [...withPeriod(existing), ...withPeriod(stats)],
+    passes: [...(existing.passes || [toPass(existing)]), toPass(stats)],
+  };
+}
+
+/**
+ * Merge the alias matches of a delta fetch into those of earlier fetches
+ * @param {Object} existing - Alias matches saved for the period
+ * @param {Object} data - Alias matches of the delta fetch
+ * @returns {Object} - Combined alias matches with counts recomputed
+ */
+function mergeAliasMatches(existing, data) {
+  const identities = [
+    ...new Map(
+      [...existing.identities, ...data.identities].map((identity) => [
+        identity.value,
+        identity,
+      ])
+    ).values(),
+  ];
+  const commits = Object.entries(data.commits).reduce(
+    (merged, [sha, aliases]) => ({
+      ...merged,
+      [sha]: [...new Set([...(merged[sha] || []), ...aliases])],
+    }),
+    existing.commits
+  );
+  return {
+    ...data,
+    period: widenPeriod(existing.period, data.period),
+    identities,
+    commitsByAlias: Object.fromEntries(
+      identities.map(({ value }) => [
+        value,
+        Object.values(commits).filter((aliases) => aliases.includes(value))
+          .length,
+      ])
+    ),
+    commits,
+  };
+}
+
 /**
  * Save commit retrieval diagnostics
  * @param {Object} stats - Commit retrieval statistics
  * @param {string} periodName - Name of the period being processed
+ * @param {boolean} merge - Combine with the stats already saved for the period, for delta fetches
  */
-export async function saveCommitRetrievalDiagnostics(stats, periodName) {
+export async function saveCommitRetrievalDiagnostics(
+  stats,
+  periodName,
+  merge = false
+) {
   if (!diagnosticsEnabled) return;
 
   const fileName = `commit_retrieval_${periodName.replace(/ /g, "_")}.json`;
   const filePath = path.join(diagnosticsDir, fileName);
+  const existing = merge ? await readDiagnostics(filePath) : null;
+  const data = existing ? mergeRetrievalStats(existing, stats) : stats;
 
-  await fs.writeFile(filePath, JSON.stringify(stats, null, 2));
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
 }
 
 /**
  * Save list of repositories with access errors
  * @param {Array} repos - List of repository objects with errors
  * @param {string} periodName - Name of the period being processed
+ * @param {boolean} merge - Add to the repositories already saved for the period, for delta fetches
  */
-export async function saveAccessErrorDiagnostics(repos, periodName) {
+export async function saveAccessErrorDiagnostics(
+  repos,
+  periodName,
+  merge = false
+) {
   if (!diagnosticsEnabled) return;
 
   const fileName = `access_errors_${periodName.replace(/ /g, "_")}.json`;
   const filePath = path.join(diagnosticsDir, fileName);
+  const existing = merge ? (await readDiagnostics(filePath)) || [] : [];
+  const data = [
+    ...new Map(
+      [...existing, ...repos].map((repo) => [repo.full_name, repo])
+    ).values(),
+  ];
+
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Save which of a user's aliases each commit was found by
+ * @param {Object} data - { username, period, identities, commitsByAlias, commits } with commits mapping SHA to aliases
+ * @param {string} periodName - Name of the period being processed
+ * @param {boolean} merge - Combine with the matches already saved for the period, for delta fetches
+ */
+export async function saveAliasMatchDiagnostics(
+  data,
+  periodName,
+  merge = false
+) {
+  if (!diagnosticsEnabled) return;
+
+  const fileName = `alias_matches_${periodName.replace(/ /g, "_")}.json`;
+  const filePath = path.join(diagnosticsDir, fileName);
+  const existing = merge ? await readDiagnostics(filePath) : null;
+  const merged = existing ? mergeAliasMatches(existing, data) : data;
+
+  await fs.writeFile(filePath, JSON.stringify(merged, null, 2));
+}
+
+/**
+ * Save a completeness reconciliation of stored commits against search counts
+ * @param {Object} report - Reconciliation report with totals, byRepo, byMonth and gaps
+ * @param {string} periodName - Name of the period being processed
+ */
+export async function saveReconciliationDiagnostics(report, periodName) {
+  if (!diagnosticsEnabled) return;
+
+  const fileName = `reconciliation_${periodName.replace(/ /g, "_")}.json`;
+  const filePath = path.join(diagnosticsDir, fileName);
+
+  await fs.writeFile(filePath, JSON.stringify(report, null, 2));
+}
+
+/**
+ * Save the commits classified as bot or release automation
+ * @param {Object} data - { username, period, totalCommits, botCommits, bySignal } with botCommits listing each commit's signals
+ * @param {string} periodName - Name of the period being processed
+ */
+export async function saveBotCommitDiagnostics(data, periodName) {
+  if (!diagnosticsEnabled) return;
+
+  const fileName = `bot_commits_${periodName.replace(/ /g, "_")}.json`;
+  const filePath = path.join(diagnosticsDir, fileName);
+
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Append an API retry or give-up to the retry log
+ * Events are written one JSON object per line, so concurrent requests can
+ * append without rewriting the file.
+ * @param {Object} event - Retry event from withRetry
+ */
+export async function recordRetryEvent(event) {
+  if (!diagnosticsEnabled) return;
+
+  const filePath = path.join(diagnosticsDir, "api_retries.jsonl");
+  const entry = {
+    timestamp: new Date().toISOString(),
+    username: currentUsername,
+    ...event,
+  };
 
-  await fs.writeFile(filePath, JSON.stringify(repos, null, 2));
+  await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`);
 }